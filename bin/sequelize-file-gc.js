@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * Deletes files, which no row refers to, for every SequelizeFile
+ * definition added to a model in given module. See src/cli.js
+ *
+ * Usage: sequelize-file-gc <models> [--dry-run] [--older-than <age>]
+ */
+
+const run = require('../lib/cli').run;
+
+run(process.argv.slice(2))
+  .then(code => process.exit(code))
+  .catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
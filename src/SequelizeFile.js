@@ -6,35 +6,144 @@
  */
 
 import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+import { parse as parseUrl, format as formatUrl } from 'url';
+import { posix } from 'path';
 
 import {
   STRING,
+  TEXT,
   VIRTUAL,
-  ValidationError,
-  ValidationErrorItem,
-  Utils
+  ValidationError
 } from "sequelize";
 
 
 import pluralize from "pluralize";
-import request from 'request';
-import { typeCheck } from 'type-check';
-import graphicsMagick from 'gm';
+import imageSize from 'image-size';
 
 import mkdirp from 'mkdirp';
 import mv from 'mv';
 import escapeStringRegexp from 'escape-string-regexp';
 
-const gm = graphicsMagick.subClass({ imageMagick: true });
+import LocalStorage from './storage/LocalStorage';
+import S3Storage from './storage/S3Storage';
+import MemoryQueue from './queue/MemoryQueue';
+import ImageMagick from './image/ImageMagick';
+import Sharp from './image/Sharp';
+import {
+  FITS,
+  GRAVITIES,
+  parseGeometry,
+  resizeSpec,
+  cropRect,
+  orientedDimensions
+} from './image/geometry';
+import { typeOf, validateType, mapLimit } from './utils';
+import {
+  detectMimetype,
+  extension,
+  sniffMimetype,
+  lookupMimetype
+} from './mimetype';
+import { onTransactionEnd } from './transaction';
+import {
+  VERSION,
+  Op,
+  getAttributes,
+  addAttributes,
+  instancePrototype,
+  findByPk,
+  getDeletedAtAttribute,
+  validationErrorItem
+} from './compat';
+import { download, downloadOptions } from './download';
+import { uploadMiddleware } from './upload';
+import { signUrl, verifyUrl } from './signature';
+import {
+  sanitizeFilename,
+  slugify,
+  uuid,
+  withExtension,
+  splitExtension
+} from './filename';
+
+export { LocalStorage, S3Storage, MemoryQueue, ImageMagick, Sharp };
+
+/* Default image processor, getSize probes with it too */
+const IMAGE_MAGICK = new ImageMagick();
 
 const DEFAULT_QUALITY = 100;
 
+/* Output formats of sizes */
+const FORMATS = {
+  jpeg: { extension: 'jpg',  mimetype: 'image/jpeg' },
+  jpg:  { extension: 'jpg',  mimetype: 'image/jpeg' },
+  png:  { extension: 'png',  mimetype: 'image/png' },
+  webp: { extension: 'webp', mimetype: 'image/webp' },
+  avif: { extension: 'avif', mimetype: 'image/avif' },
+  gif:  { extension: 'gif',  mimetype: 'image/gif' }
+};
 
-const Storage = {
-  write(file, instance) {
+const SIZE_TYPE = 'Number | String | {' + [
+  'size: Number | String | Undefined',
+  'width: Number | Undefined',
+  'height: Number | Undefined',
+  'fit: String | Undefined',
+  'gravity: String | Undefined',
+  'quality: Number | Undefined',
+  'background: String | Undefined',
+  'withoutEnlargement: Boolean | Undefined',
+  'format: String | Undefined'
+].join(', ') + '}';
 
-  }
+/* Files younger than this are never collected as orphans, since their rows
+ * may be not saved yet */
+const DEFAULT_GARBAGE_AGE = 60 * 60 * 1000;
+
+/* Values of options.filename, besides functions */
+const FILENAME_STRATEGIES = ['original', 'slug', 'uuid', 'hash'];
+
+/* Values of options.version */
+const VERSION_SOURCES = ['updatedAt', 'checksum'];
+
+/* Lifetime of signed urls of private files */
+const DEFAULT_EXPIRES_IN = 60 * 60 * 1000;
+
+/* Prefix of files of soft deleted rows, dotfiles aren't served by
+ * express.static */
+const DEFAULT_TRASH = '/.trash';
+
+/* How long soft deleted rows are kept before purge */
+const DEFAULT_RETENTION = 30 * 24 * 60 * 60 * 1000;
+
+const REFERENCES_BATCH_SIZE = 1000;
+
+const REPROCESS_BATCH_SIZE = 100;
+const DEFAULT_CONCURRENCY = 2;
+
+/* Definitions, which were added to models */
+const DEFINITIONS = [];
 
+/* Queues, whose jobs are already processed */
+const QUEUES = [];
+
+/* Jobs of instances being saved, enqueued after save or commit:
+ * instance => { [virtualAttribute]: job } */
+const JOBS = new WeakMap();
+
+/* Values and rows of bulk queries, passed from before to after hooks:
+ * options => { [virtualAttribute]: Array } */
+const BULK = new WeakMap();
+
+/* Paths chosen for files being renamed, see _reservePath */
+const RESERVED_PATHS = {};
+
+const STATUS = {
+  PENDING:    'pending',
+  PROCESSING: 'processing',
+  READY:      'ready',
+  FAILED:     'failed'
 };
 
 export default class SequelizeField {
@@ -55,7 +164,18 @@ export default class SequelizeField {
    *                    original path will be stored
    *
    * @param   {String}  [options.sizes] - object with resize options in format
-   *                    of [name]: "{width}x{height}{options}". Only for images.
+   *                    of [name]: "{width}x{height}{options}" or
+   *                    [name]: { width, height, fit, gravity, quality,
+   *                    background, withoutEnlargement, format }, where
+   *                    fit is 'cover' (default, crops to width x height
+   *                    around gravity), 'contain' (letterboxes with
+   *                    background), 'fill' (ignores aspect ratio) or 'inside'
+   *                    (fits in width x height); gravity is 'center'
+   *                    (default), 'north', 'northeast', etc; format is
+   *                    one of 'jpeg', 'png', 'webp', 'avif' or 'gif'. Size's
+   *                    file gets format's extension, ex. pic_small.webp.
+   *                    { size: "{width}x{height}{options}", quality, format }
+   *                    is supported too. Only for images.
    *
    * @param   {Boolean} [options.crop] - if true, a new virtual attribute will
    *                    be created to set crop properties. Only for images.
@@ -72,6 +192,174 @@ export default class SequelizeField {
    * @param   {String} [options.cleanup=false] - If true, old files will be
    *                    deleted, when you update corresponding field
    *
+   * @param   {Boolean} [options.rejectMimetypeMismatch=false] - MIME type is
+   *                    always detected from file's contents, and it's the
+   *                    one options.mimetype is checked against. If true,
+   *                    files, whose declared MIME type (multer's mimetype or
+   *                    remote content-type) doesn't match detected one, are
+   *                    rejected with SequelizeValidationError
+   *
+   * @param   {String}  [options.mimetypeMismatchMessage] - Message for
+   *                    options.rejectMimetypeMismatch's validation error
+   *
+   * @param   {Number}  [options.maxSize] - Maximum file size in bytes
+   *
+   * @param   {Number}  [options.minSize] - Minimum file size in bytes
+   *
+   * @param   {Number}  [options.minWidth] - Minimum image width in pixels.
+   *                    Dimensions are read from image's header, before it
+   *                    gets to ImageMagick. Only for images.
+   *
+   * @param   {Number}  [options.maxWidth] - Maximum image width in pixels
+   *
+   * @param   {Number}  [options.minHeight] - Minimum image height in pixels
+   *
+   * @param   {Number}  [options.maxHeight] - Maximum image height in pixels
+   *
+   * @param   {Number}  [options.minAspectRatio] - Minimum width / height
+   *
+   * @param   {Number}  [options.maxAspectRatio] - Maximum width / height
+   *
+   * @param   {Boolean} [options.multiple=false] - If true, attribute accepts
+   *                    an array of files/urls and its getter returns an
+   *                    array. Paths are stored as JSON array in TEXT column.
+   *                    Already attached files are kept, if they appear in
+   *                    the new array by path or url, so you can add, remove
+   *                    and reorder them. With crop, crop attribute can be
+   *                    an array too, matching files by index.
+   *
+   * @param   {Boolean} [options.metadata=false] - If true, file's size,
+   *                    detected mimetype, width and height (for images),
+   *                    sha256 checksum and original name are stored as JSON
+   *                    in TEXT column and exposed by getter as meta property.
+   *                    Getter always returns an object then.
+   *
+   * @param   {String}  [options.metaAttribute] - name of real db field, where
+   *                    metadata will be stored. Defaults to [name]Meta
+   *
+   * @param   {Boolean} [options.deduplicate=false] - If true, files are
+   *                    stored under a key derived from their sha256
+   *                    checksum (and crop), ex. /uploads/users/pictures/
+   *                    ab/ab12...ef.png, instead of instance's folder.
+   *                    Identical uploads reuse stored original and sizes,
+   *                    and with cleanup, a file is deleted only when no row
+   *                    refers to it anymore.
+   *
+   * @param   {Boolean} [options.onDemand=false] - If true, sizes aren't
+   *                    rendered on save. Mount sizesMiddleware() to render
+   *                    them on first request instead. Can't be combined
+   *                    with crop.
+   *
+   * @param   {Boolean} [options.background=false] - If true, sizes are
+   *                    rendered by a job queue after instance is saved (or
+   *                    its transaction is committed), so save doesn't wait
+   *                    for ImageMagick. Processing status ('pending',
+   *                    'processing', 'ready' or 'failed') is stored in
+   *                    [name]Status and failure's message in [name]Error.
+   *                    Getter returns original's url for every size until
+   *                    status is 'ready'.
+   *
+   * @param   {Object}  [options.queue] - Job queue with enqueue(job) and
+   *                    process(handler) methods, implies options.background.
+   *                    Defaults to in-process MemoryQueue.
+   *
+   * @param   {String}  [options.statusAttribute] - defaults to [name]Status
+   *
+   * @param   {String}  [options.errorAttribute] - defaults to [name]Error
+   *
+   * @param   {Object}  [options.download] - Restrictions for urls, set to
+   *                    the attribute: { protocols, allowHosts, denyHosts,
+   *                    allowPrivateAddresses, maxRedirects, connectTimeout,
+   *                    readTimeout, maxBytes }. By default only http(s)
+   *                    urls of public addresses are downloaded, with at
+   *                    most 5 redirects, and maxBytes is options.maxSize.
+   *                    See download module for details.
+   *
+   * @param   {String|Function} [options.filename] - How stored files are
+   *                    named: 'original' (sanitized original name),
+   *                    'slug' (lowercase ASCII original name), 'uuid',
+   *                    'hash' (sha256 of contents) or a function
+   *                    (instance, file) => name, which may return a promise.
+   *                    Names are sanitized, get extension of detected MIME
+   *                    type (except function's ones) and are made unique
+   *                    within the directory with -1, -2... suffixes.
+   *                    Original name is stored in [name]OriginalName then.
+   *                    By default, name is taken from file's path or url.
+   *
+   * @param   {String}  [options.originalNameAttribute] - name of real db
+   *                    field, where original name(s) will be stored with
+   *                    options.filename. Defaults to [name]OriginalName
+   *
+   * @param   {Boolean} [options.private=false] - If true, files are stored
+   *                    outside of public folder (publicPath defaults to
+   *                    'private'), and getter returns HMAC-signed urls,
+   *                    which expire in options.expiresIn. Mount serve()
+   *                    at options.privateUrl to serve them. Storage's
+   *                    write() gets private: true option.
+   *
+   * @param   {String}  [options.secret] - HMAC key of signed urls, required
+   *                    for private files
+   *
+   * @param   {Number}  [options.expiresIn=3600000] - Lifetime of signed
+   *                    urls in milliseconds
+   *
+   * @param   {String}  [options.privateUrl='/private'] - Url prefix, where
+   *                    serve() is mounted
+   *
+   * @param   {String|Function} [options.baseUrl] - Prefix of relative urls
+   *                    returned by getter, ex. https://cdn.example.com, or
+   *                    function of instance returning it. Urls of storages
+   *                    returning absolute urls (ex. S3Storage) aren't changed.
+   *
+   * @param   {String}  [options.version] - Adds v query param to urls, so
+   *                    CDN caches are busted, when file is replaced:
+   *                    'updatedAt' - instance's update time,
+   *                    'checksum' - file's checksum (requires metadata)
+   *
+   * @param   {Number}  [options.bulkConcurrency=2] - How many rows of
+   *                    bulkCreate, bulk update and bulk destroy have their
+   *                    files processed at once
+   *
+   * @param   {Boolean|String} [options.trash] - With cleanup on paranoid
+   *                    models, files of soft deleted rows are kept in place.
+   *                    If true, they are moved under /.trash prefix of
+   *                    storage instead (hidden from express.static), or
+   *                    under given prefix, and moved back on restore.
+   *                    Files are deleted on force destroy or by purge()
+   *
+   * @param   {Number}  [options.retention=2592000000] - How long soft
+   *                    deleted rows are kept before purge() destroys them,
+   *                    in milliseconds. Defaults to 30 days
+   *
+   * @param   {Number}  [options.keepVersions] - If set, replaced and
+   *                    removed files are kept as versions, up to given
+   *                    number, which can be listed with
+   *                    instance.attachmentVersions(name) and restored with
+   *                    instance.revertAttachment(name, id). Older versions
+   *                    are pruned, and with cleanup, their files are deleted
+   *
+   * @param   {String}  [options.versionsAttribute] - name of real db field,
+   *                    where versions are stored as JSON.
+   *                    Defaults to [name]Versions
+   *
+   * @param   {Object} [options.imageProcessor] - Image processor, which
+   *                    crops and resizes images. Defaults to ImageMagick.
+   *                    See Sharp for sharp (libvips) based one.
+   *
+   * @param   {Boolean} [options.autoOrient=false] - If true, images are
+   *                    rotated according to their EXIF orientation, before
+   *                    crop is applied. Original is rewritten oriented, so
+   *                    [name]Crop is relative to displayed dimensions
+   *
+   * @param   {Boolean} [options.stripMetadata=false] - If true, EXIF (GPS
+   *                    coordinates, camera serials...), XMP, IPTC and
+   *                    profiles are removed from original and its sizes
+   *
+   * @param   {Object} [options.storage] - Storage driver, where processed
+   *                    files are written to. Defaults to LocalStorage rooted
+   *                    at options.publicPath. See S3Storage for S3-compatible
+   *                    services.
+   *
    * @return  { addTo:Function } - Instance with addTo method
    */
 
@@ -86,7 +374,44 @@ export default class SequelizeField {
       cleanup,
       folderKey,
       groupByAttribute,
-      wrongTypeMessage
+      wrongTypeMessage,
+      rejectMimetypeMismatch,
+      mimetypeMismatchMessage,
+      maxSize,
+      minSize,
+      minWidth,
+      maxWidth,
+      minHeight,
+      maxHeight,
+      minAspectRatio,
+      maxAspectRatio,
+      multiple,
+      metadata,
+      metaAttribute,
+      deduplicate,
+      onDemand,
+      background,
+      queue,
+      statusAttribute,
+      errorAttribute,
+      download,
+      filename,
+      originalNameAttribute,
+      private: isPrivate,
+      secret,
+      expiresIn,
+      privateUrl,
+      baseUrl,
+      version,
+      bulkConcurrency,
+      trash,
+      retention,
+      keepVersions,
+      versionsAttribute,
+      imageProcessor,
+      autoOrient,
+      stripMetadata,
+      storage
     }) {
     /* --- VALIDATIONS ---------------------------------------------------- */
 
@@ -98,6 +423,147 @@ export default class SequelizeField {
     validateType({ folderKey },       'String | Undefined | Null');
     validateType({ groupByAttribute },       'Boolean | Undefined');
     validateType({ sizes },           'Object | String | Undefined');
+    validateType({ multiple },        'Boolean | Undefined');
+    validateType({ metadata },        'Boolean | Undefined');
+    validateType({ metaAttribute },   'String | Undefined');
+    validateType({ deduplicate },     'Boolean | Undefined');
+    validateType({ onDemand },        'Boolean | Undefined');
+    validateType({ background },      'Boolean | Undefined');
+    validateType({ queue },           'Object | Undefined');
+    validateType({ statusAttribute }, 'String | Undefined');
+    validateType({ errorAttribute },  'String | Undefined');
+    validateType({ rejectMimetypeMismatch },  'Boolean | Undefined');
+    validateType({ mimetypeMismatchMessage }, 'String | Undefined');
+    validateType({ maxSize },         'Number | Undefined');
+    validateType({ minSize },         'Number | Undefined');
+    validateType({ minWidth },        'Number | Undefined');
+    validateType({ maxWidth },        'Number | Undefined');
+    validateType({ minHeight },       'Number | Undefined');
+    validateType({ maxHeight },       'Number | Undefined');
+    validateType({ minAspectRatio },  'Number | Undefined');
+    validateType({ maxAspectRatio },  'Number | Undefined');
+    validateType({ download },        'Object | Undefined');
+    validateType({ filename },        'String | Function | Undefined');
+    validateType({ originalNameAttribute }, 'String | Undefined');
+    validateType({ private: isPrivate }, 'Boolean | Undefined');
+    validateType({ secret },          'String | Undefined');
+    validateType({ expiresIn },       'Number | Undefined');
+    validateType({ privateUrl },      'String | Undefined');
+    validateType({ baseUrl },         'String | Function | Undefined');
+    validateType({ version },         'String | Undefined');
+    validateType({ bulkConcurrency }, 'Number | Undefined');
+    validateType({ trash },           'Boolean | String | Undefined');
+    validateType({ retention },       'Number | Undefined');
+    validateType({ keepVersions },    'Number | Undefined');
+    validateType({ versionsAttribute }, 'String | Undefined');
+    validateType({ imageProcessor },  'Object | Undefined');
+    validateType({ autoOrient },      'Boolean | Undefined');
+    validateType({ stripMetadata },   'Boolean | Undefined');
+    validateType({ storage },         'Object | Undefined');
+
+    if (imageProcessor) {
+      [
+        'probe',
+        'load',
+        'crop',
+        'resize',
+        'encode',
+        ...(autoOrient ? ['orient'] : [])
+      ].forEach(method => {
+        if (typeof imageProcessor[method] !== 'function') {
+          throw new TypeError(
+            `Expected image processor to implement ${method}() method`
+          );
+        }
+      });
+    }
+
+    if (storage) {
+      ['write', 'createReadStream', 'delete', 'exists', 'url']
+        .forEach(method => {
+          if (typeof storage[method] !== 'function') {
+            throw new TypeError(
+              `Expected storage to implement ${method}() method`
+            );
+          }
+        });
+    }
+
+    if (onDemand && !sizes) {
+      throw new Error('Can\'t render sizes on demand without sizes');
+    }
+
+    /* Crop is virtual, so it's unknown when size is requested */
+    if (onDemand && crop) {
+      throw new Error('Can\'t crop sizes rendered on demand');
+    }
+
+    if (queue) {
+      ['enqueue', 'process'].forEach(method => {
+        if (typeof queue[method] !== 'function') {
+          throw new TypeError(`Expected queue to implement ${method}() method`);
+        }
+      });
+    }
+
+    if ((background || queue) && !sizes) {
+      throw new Error('Can\'t process sizes in background without sizes');
+    }
+
+    if ((background || queue) && onDemand) {
+      throw new Error(
+        'Can\'t process sizes both in background and on demand'
+      );
+    }
+
+    if (
+         typeof filename === 'string'
+      && FILENAME_STRATEGIES.indexOf(filename) === -1
+    ) {
+      throw new Error(
+        `Expected filename to be one of ${FILENAME_STRATEGIES.join(', ')} ` +
+        `or a function, but got ${filename}`
+      );
+    }
+
+    if (isPrivate && !secret) {
+      throw new Error('Can\'t sign urls of private files without secret');
+    }
+
+    if (version && VERSION_SOURCES.indexOf(version) === -1) {
+      throw new Error(
+        `Expected version to be one of ${VERSION_SOURCES.join(', ')}, ` +
+        `but got ${version}`
+      );
+    }
+
+    if (version === 'checksum' && !metadata) {
+      throw new Error('Can\'t version urls by checksum without metadata');
+    }
+
+    if (trash && deduplicate) {
+      throw new Error('Can\'t move deduplicated files to trash');
+    }
+
+    if (typeof trash === 'string' && !/^\/[^/]/.test(trash)) {
+      throw new Error(
+        `Expected trash to be a prefix starting with /, but got ${trash}`
+      );
+    }
+
+    if (
+         typeof keepVersions === 'number'
+      && !(keepVersions >= 1 && keepVersions % 1 === 0)
+    ) {
+      throw new Error(
+        'Expected keepVersions to be a positive integer, ' +
+        `but got ${keepVersions}`
+      );
+    }
+
+    if (keepVersions && deduplicate) {
+      throw new Error('Can\'t keep versions of deduplicated files');
+    }
 
     if ((crop || sizes ) && !/image/.test(mimetype)) {
       throw new Error(
@@ -105,6 +571,40 @@ export default class SequelizeField {
       );
     }
 
+    if (typeOf(sizes) === 'Object') {
+      Object.keys(sizes).forEach(name => validateSize(name, sizes[name]));
+    }
+
+    const dimensions = {
+      minWidth,
+      maxWidth,
+      minHeight,
+      maxHeight,
+      minAspectRatio,
+      maxAspectRatio
+    };
+
+    const hasDimensions = Object.keys(dimensions)
+      .some(key => typeof dimensions[key] !== 'undefined');
+
+    if (hasDimensions && !/image/.test(mimetype)) {
+      throw new Error(
+        'Can\'t set dimension limits on non-image mimetype'
+      );
+    }
+
+    [
+      ['minSize', 'maxSize'],
+      ['minWidth', 'maxWidth'],
+      ['minHeight', 'maxHeight'],
+      ['minAspectRatio', 'maxAspectRatio']
+    ].forEach(([min, max]) => {
+      const limits = { minSize, maxSize, ...dimensions };
+      if (limits[min] > limits[max]) {
+        throw new Error(`Expected ${min} to be less than ${max}`);
+      }
+    });
+
     /* --- PRIVATE PROPS -------------------------------------------------- */
 
     this._VIRTUAL_ATTRIBUTE_NAME = virtualAttribute;
@@ -114,13 +614,54 @@ export default class SequelizeField {
     this._SIZES                  = sizes;
     this._CROP_IS_ON             = !!crop;
     this._CLEANUP_IS_ON          = !!cleanup;
-    this._PUBLIC_PATH            = publicPath || 'public';
+    this._MULTIPLE               = !!multiple;
+    this._METADATA_IS_ON         = !!metadata;
+    this._META_ATTRIBUTE_NAME    = metaAttribute || `${virtualAttribute}Meta`;
+    this._DEDUPLICATE            = !!deduplicate;
+    this._ON_DEMAND              = !!onDemand;
+    this._BACKGROUND             = !!(background || queue);
+    this._QUEUE                  = queue ||
+                                   (background ? new MemoryQueue() : undefined);
+    this._STATUS_ATTRIBUTE_NAME  = statusAttribute || `${virtualAttribute}Status`;
+    this._ERROR_ATTRIBUTE_NAME   = errorAttribute || `${virtualAttribute}Error`;
+    this._FILENAME               = filename;
+    this._ORIGINAL_NAME_ATTRIBUTE_NAME = originalNameAttribute ||
+                                   `${virtualAttribute}OriginalName`;
+    this._PRIVATE                = !!isPrivate;
+    this._SECRET                 = secret;
+    this._EXPIRES_IN             = typeof expiresIn === 'number' ?
+                                   expiresIn : DEFAULT_EXPIRES_IN;
+    this._PRIVATE_URL            = privateUrl || '/private';
+    this._BASE_URL               = baseUrl;
+    this._VERSION                = version;
+    this._PUBLIC_PATH            = publicPath ||
+                                   (isPrivate ? 'private' : 'public');
     this._BASE_PATH               = basepath || `${this._PUBLIC_PATH}/uploads`;
     this._FOLDER_KEY             = folderKey === null ? null : (folderKey || 'id');
     this._GROUP_BY_ATTRIBUTE     = typeof groupByAttribute === 'undefined' ?
                                    true : groupByAttribute;
 
     this._WRONG_TYPE_MESSAGE     = wrongTypeMessage || "Wrong file's MIME type";
+    this._LIMITS                 = { minSize, maxSize, ...dimensions };
+    this._HAS_DIMENSION_LIMITS   = hasDimensions;
+    this._REJECT_MISMATCH        = !!rejectMimetypeMismatch;
+    this._MISMATCH_MESSAGE       = mimetypeMismatchMessage ||
+                                   "File's contents don't match its MIME type";
+    this._DOWNLOAD_OPTIONS       = downloadOptions({ maxBytes: maxSize, ...download });
+    this._STORAGE                = storage ||
+                                   new LocalStorage({ root: this._PUBLIC_PATH });
+    this._BULK_CONCURRENCY       = bulkConcurrency || DEFAULT_CONCURRENCY;
+    this._IMAGE_PROCESSOR        = imageProcessor || IMAGE_MAGICK;
+    this._AUTO_ORIENT            = !!autoOrient;
+    this._STRIP_METADATA         = !!stripMetadata;
+    this._TRASH                  = typeof trash === 'string' ?
+                                   trash.replace(/\/+$/, '') :
+                                   (trash ? DEFAULT_TRASH : undefined);
+    this._RETENTION              = typeof retention === 'number' ?
+                                   retention : DEFAULT_RETENTION;
+    this._KEEP_VERSIONS          = keepVersions;
+    this._VERSIONS_ATTRIBUTE_NAME = versionsAttribute ||
+                                   `${virtualAttribute}Versions`;
 }
 
 
@@ -147,558 +688,3488 @@ export default class SequelizeField {
   };
 
   /**
-   * Abstract Hook
+   * Sequelize afterUpdate hook, enqueues background job of saved instance
    * @param {Sequelize.Instance} instance
    * @param {Object} options - Sequelize save options
-   * @param {Boolean} afterCreate - if true an extra update will be triggered
-   * @return {Promise}
+   * @return {Promise|undefined}
    */
 
-  _setFile(instance, options, afterCreate) {
-    const file = instance.getDataValue(this._VIRTUAL_ATTRIBUTE_NAME);
+  _afterUpdateHook = (instance, options) => {
+    const jobs = JOBS.get(instance);
+    const files = jobs && jobs[this._VIRTUAL_ATTRIBUTE_NAME];
+    if (!files) return;
 
-    if (( file && file.updated ) || typeof file === 'undefined') return;
+    delete jobs[this._VIRTUAL_ATTRIBUTE_NAME];
 
-    if (
-         typeOf(file)         === 'Object'
-      && typeof file.mimetype === 'string'
-      && typeof file.path     === 'string'
-    ) {
+    const job = {
+      id: instance.get(this._MODEL.primaryKeyAttribute),
+      files
+    };
 
-      return this._moveFromTemporary(file, instance)
-        .then(file => {
-          return this._attachFile(instance, file, afterCreate, options);
-        })
-        .catch(err => this._Error(err));
+    const transaction = options && options.transaction;
+    if (transaction) {
+      onTransactionEnd(transaction, { commit: () => this._enqueue(job) });
+      return;
+    }
 
-    } else if (typeof file === 'string') {
+    return this._enqueue(job);
+  };
 
-      const url = file;
-      const filename = this._getFileNameForMoving.bind(this)(instance, url);
+  /**
+   * Sequelize beforeBulkCreate hook, takes files off instances, so they're
+   * attached in afterBulkCreate hook once rows have primary keys, with
+   * bounded concurrency. v3 doesn't set primary keys of bulk inserted rows,
+   * so rows are inserted one by one there
+   * @param {Array<Sequelize.Instance>} instances
+   * @param {Object} options - Sequelize bulkCreate options
+   */
 
-      return download(url, filename)
-        .catch(error => this._Error(this._validationError(error)))
-        .then(file => {
-          return this._attachFile(instance, file, afterCreate, options);
-        })
-        .catch(err => this._Error(err))
+  _beforeBulkCreateHook = (instances, options) => {
+    const attribute = this._VIRTUAL_ATTRIBUTE_NAME;
+    const values = instances.map(instance => {
+      const value = instance.getDataValue(attribute);
+      instance.setDataValue(attribute, undefined);
+      return value;
+    });
 
-    } else if (typeOf(file) === 'Null'){
-      if (this._CLEANUP_IS_ON) {
-        this._destroyFileHook(instance, options);
-      }
-      instance.setDataValue(this._PATH_ATTRIBUTE_NAME, null);
-    }
-  }
+    if (values.every(value => typeof value === 'undefined')) return;
+
+    BULK.set(options, { ...BULK.get(options), [attribute]: values });
+    if (VERSION < 4) options.individualHooks = true;
+  };
 
   /**
-   * Returns instance base path
-   * @param {Sequelize.Instance} instance
-_   * @return {String}
+   * Sequelize afterBulkCreate hook, attaches files taken off instances
+   * @param {Array<Sequelize.Instance>} instances
+   * @param {Object} options - Sequelize bulkCreate options
+   * @return {Promise|undefined}
    */
 
-  _getInstancePath(instance) {
-    if (!this._FOLDER_KEY || !this._GROUP_BY_ATTRIBUTE) return this._MODEL_PATH;
-    return `${this._MODEL_PATH}/${instance.getDataValue(this._FOLDER_KEY)}`;
-  }
+  _afterBulkCreateHook = (instances, options) => {
+    const values = this._takeBulk(options);
+    if (!values) return;
+
+    return mapLimit(instances, this._BULK_CONCURRENCY, (instance, index) => {
+      if (typeof values[index] === 'undefined') return;
+      instance.setDataValue(this._VIRTUAL_ATTRIBUTE_NAME, values[index]);
+      return this._setFile(
+        instance,
+        { transaction: options.transaction },
+        true
+      );
+    });
+  };
 
   /**
-   * Returns path to which temporary file will be moved to for a given instance
-   * @param {Sequelize.Instance} instance
-   * @param {String} tmp
-   * @return {String}
+   * Sequelize beforeBulkUpdate hook. If file is set, it's taken off values
+   * and rows, which match options.where, are found, unless
+   * options.individualHooks are on. Query is limited to found rows, so the
+   * file is attached to the same rows in afterBulkUpdate hook
+   * @param {Object} options - Sequelize update options
+   * @return {Promise|undefined}
    */
 
-  _getFileNameForMoving(instance, tmp) {
-    let fileName = nameFromUrl(tmp);
+  _beforeBulkUpdateHook = options => {
+    const attribute = this._VIRTUAL_ATTRIBUTE_NAME;
+    const values = options.attributes;
 
-    if (!this._FOLDER_KEY || !this._GROUP_BY_ATTRIBUTE) {
-      const [name, ext] = getFileInfo(fileName);
-      const hash = Math.random().toString(36).substr(2, 5);
-      fileName = name + `_${hash}.${ext}`;
-    };
+    if (
+         options.individualHooks
+      || !values
+      || typeof values[attribute] === 'undefined'
+    ) {
+      return;
+    }
 
-    return this._getInstancePath(instance) + `/${fileName}`;
-  }
+    const value = values[attribute];
+    const primaryKey = this._MODEL.primaryKeyAttribute;
+    delete values[attribute];
+
+    return this._MODEL.findAll({
+      attributes: [primaryKey],
+      where: options.where,
+      limit: options.limit,
+      paranoid: options.paranoid !== false,
+      transaction: options.transaction
+    })
+    .then(rows => {
+      const ids = rows.map(row => row.get(primaryKey));
+      options.where = { [Op.and]: [options.where, { [primaryKey]: ids }] };
+      BULK.set(options, {
+        ...BULK.get(options),
+        [attribute]: { value, ids }
+      });
+    });
+  };
 
   /**
-   * Returns Promise.reject() with a SequelizeValidationError
-   * @param {Error|String} errors
-   * @return {Function}
+   * Sequelize afterBulkUpdate hook, attaches file to every row found by
+   * beforeBulkUpdate hook with bounded concurrency. It runs only if query
+   * succeeds; pass a transaction to roll the query back, if file fails
+   * @param {Object} options - Sequelize update options
+   * @return {Promise|undefined}
    */
 
-  _validationError(err) {
-    let message;
-    switch (typeof err) {
-      case 'string':
-        message = err;
-        break;
-      case 'object':
-        message = err.message;
-        break;
-    };
-
-    const validationError = new ValidationErrorItem(message,
-      null,
-      this._VIRTUAL_ATTRIBUTE_NAME
+  _afterBulkUpdateHook = options => {
+    const bulk = this._takeBulk(options);
+    if (!bulk) return;
+
+    const attribute = this._VIRTUAL_ATTRIBUTE_NAME;
+    const primaryKey = this._MODEL.primaryKeyAttribute;
+    const transaction = options.transaction;
+    const temporary = [];
+
+    return this._MODEL.findAll({
+      where: { [primaryKey]: bulk.ids },
+      paranoid: options.paranoid !== false,
+      transaction
+    })
+    .then(rows => this._copyValue(bulk.value, rows.length, temporary)
+      .then(copies => mapLimit(rows, this._BULK_CONCURRENCY, (row, index) => {
+        row.setDataValue(attribute, copies[index]);
+        return Promise.resolve(this._setFile(row, { transaction }))
+          .then(() => row.save({ transaction, hooks: false }))
+          .then(() => this._afterUpdateHook(row, { transaction }));
+      }))
+    )
+    .then(
+      () => removeTemporary(temporary),
+      err => removeTemporary(temporary).then(() => Promise.reject(err))
     );
+  };
 
-    return new ValidationError(message, [validationError]);
-  }
+  /**
+   * Sequelize beforeBulkDestroy hook, finds rows, whose files are deleted
+   * in afterBulkDestroy hook, unless options.individualHooks are on
+   * @param {Object} options - Sequelize destroy options
+   * @return {Promise|undefined}
+   */
 
-  _Error(error) {
-    return Promise.reject(error);
+  _beforeBulkDestroyHook = options => {
+    if (!this._CLEANUP_IS_ON || options.individualHooks) return;
+
+    /* Soft deletes keep files in place without trash */
+    const isSoft = getDeletedAtAttribute(this._MODEL) && !options.force;
+    if (isSoft && !this._TRASH) return;
+
+    return this._MODEL.findAll({
+      where: options.where,
+      limit: options.limit,
+      paranoid: !options.force,
+      transaction: options.transaction
+    })
+    .then(rows => {
+      BULK.set(options, {
+        ...BULK.get(options),
+        [this._VIRTUAL_ATTRIBUTE_NAME]: rows
+      });
+    });
+  };
+
+  /**
+   * Sequelize afterBulkDestroy hook, deletes files of destroyed rows with
+   * bounded concurrency. Files are counted after rows are gone, so with
+   * deduplication files shared by destroyed rows only are deleted too
+   * @param {Object} options - Sequelize destroy options
+   * @return {Promise|undefined}
+   */
+
+  _afterBulkDestroyHook = options => {
+    const rows = this._takeBulk(options);
+    if (!rows) return;
+
+    return mapLimit(rows, this._BULK_CONCURRENCY, row => {
+      return this._destroyFileHook(row, options);
+    });
+  };
+
+  /**
+   * Returns and forgets values or rows stored by before hook of bulk query
+   * @param {Object} options - Sequelize bulk query options
+   * @return {Array|undefined}
+   */
+
+  _takeBulk(options) {
+    const bulk = BULK.get(options);
+    const data = bulk && bulk[this._VIRTUAL_ATTRIBUTE_NAME];
+    if (data) delete bulk[this._VIRTUAL_ATTRIBUTE_NAME];
+    return data;
   }
 
-  /** Sequelize hook with files deleting logic
-   * @param {Sequelize.Instance} instance
-   * @param {Object} options
+  /**
+   * Returns count values, each of which can be set to its own row. Files
+   * with local paths are copied and streams are written to temporary files
+   * first, since receiving moves or consumes them. Other values are reused
+   * @param {*} value - value set to virtual attribute
+   * @param {Number} count
+   * @param {Array<String>} temporary - paths of written files are pushed
+   *                    here, see removeTemporary
+   * @return {Promise<Array, Error>}
    */
 
-  _destroyFileHook = (instance, options) => {
-    if (!this._CLEANUP_IS_ON) return;
-    let path = instance.getDataValue(this._PATH_ATTRIBUTE_NAME);
-    if (!path) return;
+  _copyValue(value, count, temporary) {
+    if (this._MULTIPLE && typeOf(value) === 'Array') {
+      return Promise.all(value.map(item => {
+        return this._copyValue(item, count, temporary);
+      }))
+        .then(copies => repeat(count, index => {
+          return copies.map(itemCopies => itemCopies[index]);
+        }));
+    }
 
-    const original = this._fromPublic(path);
+    const isObject = typeOf(value) === 'Object';
+    const stream = isReadableStream(value) ? value :
+      isObject && isReadableStream(value.stream) ? value.stream : null;
+
+    if (stream && count > 1) {
+      const name = isObject && (value.originalname || value.mimetype &&
+        `${randomString(10)}.${extension(value.mimetype)}`);
+
+      return writeData(stream, temporaryPath(name))
+        .then(path => {
+          temporary.push(path);
+          if (isObject && value.mimetype) {
+            return { ...value, stream: undefined, path };
+          }
+          return detectMimetype(path).then(detected => ({
+            ...(isObject ? value : {}),
+            stream: undefined,
+            path,
+            mimetype: detected ? detected.mime : 'application/octet-stream'
+          }));
+        })
+        .then(file => this._copyValue(file, count, temporary));
+    }
 
-    if (this._SIZES) {
-      this._forEachSize(this._SIZES, (size, name, options) => {
-        const pathForSize = pathWithSize(original, name);
-        return fs.unlink(pathForSize, (e) => {});
-      });
+    if (
+         isObject
+      && typeof value.path === 'string'
+      && typeof value.mimetype === 'string'
+      && count > 1
+    ) {
+      return Promise.all(repeat(count - 1, () => {
+        const path = temporaryPath(value.path.split('/').pop());
+        temporary.push(path);
+        return writeData(fs.createReadStream(value.path), path);
+      }))
+      .then(paths => paths.map(path => ({ ...value, path })).concat(value));
     }
 
-    fs.unlink(original, (e) => {});
-  };
+    return Promise.resolve(repeat(count, () => value));
+  }
 
+  /**
+   * Abstract Hook
+   * @param {Sequelize.Instance} instance
+   * @param {Object} options - Sequelize save options
+   * @param {Boolean} afterCreate - if true an extra update will be triggered
+   * @return {Promise}
+   */
 
-  /** Returns get method for virtual attribute,
-    * @return {Function} getter
-    */
+  _setFile(instance, options, afterCreate) {
+    const file = instance.getDataValue(this._VIRTUAL_ATTRIBUTE_NAME);
 
-  _virtualAttributeGetter() {
-    const {
-      _SIZES,
-      _PATH_ATTRIBUTE_NAME,
-      _forEachSize
-    } = this;
+    if (( file && file.updated ) || typeof file === 'undefined') return;
 
-    if (_SIZES) {
-      return function () {
-        const path = this.getDataValue(_PATH_ATTRIBUTE_NAME);
-        if (!path) return undefined;
-        let output = {
-          original: path
-        };
-        path && _forEachSize(_SIZES, (size, name, options) => {
-          output[name] = pathWithSize(path, name);
-        });
-        return output;
-      };
+    if (this._MULTIPLE && typeOf(file) === 'Array') {
+      return this._setFiles(instance, file, afterCreate, options);
     }
-    return function () {
-      return this.getDataValue(_PATH_ATTRIBUTE_NAME);
-    };
-  }
 
+    const received = this._receiveFile(instance, file);
 
-  /** Returns an object with required attributes: [name]: VIRTUAL,
-    * [name]Path:STRING(1234) and [name]Crop: VIRTUAL, if constructor's
-    * options.crop is true
-    * @return {Object}
-    */
+    if (received) {
 
-  _getAttrs() {
-    let obj = {
+      return received
+        .then(file => {
+          return this._attachValidFile(instance, file, afterCreate, options);
+        })
+        .catch(err => this._Error(err));
+
+    } else if (typeOf(file) === 'Null'){
+      const versions = this._versionValues(instance, [], options);
+      Object.keys(versions).forEach(attribute => {
+        instance.setDataValue(attribute, versions[attribute]);
+      });
+      if (this._CLEANUP_IS_ON && !this._KEEP_VERSIONS) {
+        this._deletePaths(this._getPaths(instance), options, instance);
+      }
+      instance.setDataValue(this._PATH_ATTRIBUTE_NAME, null);
+      if (this._METADATA_IS_ON) {
+        instance.setDataValue(this._META_ATTRIBUTE_NAME, null);
+      }
+      if (this._FILENAME) {
+        instance.setDataValue(this._ORIGINAL_NAME_ATTRIBUTE_NAME, null);
+      }
+      if (this._BACKGROUND) {
+        instance.setDataValue(this._STATUS_ATTRIBUTE_NAME, null);
+        instance.setDataValue(this._ERROR_ATTRIBUTE_NAME, null);
+      }
+    }
+  }
+
+  /**
+   * Sets array of files in multiple mode. Values, which match already
+   * attached files by path or url, are kept as is. If any value is
+   * rejected, files stored for the others are removed
+   * @param {Sequelize.Instance} instance
+   * @param {Array} values - files, urls or previously attached paths
+   * @param {Boolean} afterCreate - if true an extra update will be triggered
+   * @param {Object} options - Sequelize save options
+   * @return {Promise}
+   */
+
+  _setFiles(instance, values, afterCreate, options) {
+    const current = this._getPaths(instance);
+    const currentMeta = this._getMeta(instance) || [];
+    const currentNames = this._FILENAME && parseMeta(
+      instance.getDataValue(this._ORIGINAL_NAME_ATTRIBUTE_NAME)
+    ) || [];
+
+    instance.setDataValue(
+      this._VIRTUAL_ATTRIBUTE_NAME,
+      { updated: true }
+    );
+
+    const settled = values.map((value, index) => {
+      const attached = this._findAttached(current, value, instance);
+      if (attached) {
+        return Promise.resolve({
+          path: attached,
+          meta: currentMeta[current.indexOf(attached)],
+          originalName: currentNames[current.indexOf(attached)],
+          attached: true
+        });
+      }
+
+      const received = this._receiveFile(instance, value);
+      if (!received) {
+        return this._Error(this._validationError(
+          `Can't attach ${typeOf(value)} as a file`
+        ));
+      }
+
+      return received
+        .then(file => {
+          return this._storeFile(instance, file, index)
+            .then(stored => {
+              this._stagePaths([stored.path], options);
+              return { ...stored, index, originalName: file.originalname };
+            });
+        });
+    })
+    .map(promise => promise.then(stored => ({ stored }), error => ({ error })));
+
+    /* Every value is settled, so that no file is stored after removal */
+    return Promise.all(settled)
+    .then(results => {
+      const failed = results.filter(({ error }) => error)[0];
+      if (!failed) return results.map(({ stored }) => stored);
+
+      const kept = current.concat(results
+        .filter(({ stored }) => stored && stored.attached)
+        .map(({ stored }) => stored.path));
+      const stored = results
+        .filter(({ stored }) => stored && !stored.attached)
+        .map(({ stored }) => stored.path)
+        .filter(path => kept.indexOf(path) === -1);
+
+      return this._deletePaths(stored)
+        .then(() => Promise.reject(failed.error));
+    })
+    .then(stored => {
+      const paths = stored.map(({ path }) => path);
+      const pending = stored.filter(({ pending }) => pending);
+
+      this._deferJob(instance, pending.map(({ path, index }) => ({
+        path,
+        crop: this._getCrop(instance, index)
+      })));
+
+      if (this._CLEANUP_IS_ON && !this._KEEP_VERSIONS) {
+        this._deletePaths(
+          current.filter(path => paths.indexOf(path) === -1),
+          options,
+          instance
+        );
+      }
+      return this._saveValues(instance, {
+        [this._PATH_ATTRIBUTE_NAME]: JSON.stringify(paths),
+        ...this._versionValues(instance, paths, options),
+        ...this._metaValues(stored.map(({ meta }) => meta)),
+        ...this._originalNameValues(
+          stored.map(({ originalName }) => originalName)
+        ),
+        ...this._statusValues(instance, pending.length > 0, !paths.length)
+      }, afterCreate, options);
+    })
+    .catch(err => this._Error(err));
+  }
+
+  /**
+   * Moves, writes or downloads file to instance's directory, sets its
+   * mimetype to the one detected from contents and validates it. Unless
+   * options.filename names it, file gets extension of detected mimetype, so
+   * that it can't be served with another type than its contents. Rejected
+   * file is removed
+   * @param {Sequelize.Instance} instance
+   * @param {Object|String|Buffer|stream.Readable} file - multer-style object,
+   *                    url, data URI, Buffer or readable stream
+   * @return {Promise<Object, Error>|undefined} undefined, if value can't be
+   *                    received as a file
+   */
+
+  _receiveFile(instance, file) {
+    const received = this._fetchFile(instance, file);
+    let local;
+
+    return received && received
+      .then(file => {
+        local = file.path;
+        return this._sniffFile(file);
+      })
+      .then(file => this._validateFile(file))
+      .then(file => {
+        /* Content keys get extension of detected type anyway */
+        if (this._DEDUPLICATE) return file;
+
+        if (this._FILENAME) {
+          return this._getFileName(instance, file)
+            .then(name => this._renameFile(file, name));
+        }
+
+        const name = file.path.replace(/^.*\//, '');
+        const fixed = withExtension(name, file.mimetype);
+        return fixed === name ? file : this._renameFile(file, fixed);
+      })
+      .catch(err => {
+        if (!local) return Promise.reject(err);
+        return unlinkLocal(local).then(() => Promise.reject(err));
+      });
+  }
+
+  /**
+   * Moves file to name in dir, making name unique, so that stored files
+   * are never overwritten. File is removed, if it can't be moved
+   * @param {Object} file - received file with detected mimetype
+   * @param {String} name - sanitized name with extension
+   * @param {String} [dir] - local directory, defaults to file's one
+   * @return {Promise<Object, Error>}
+   */
+
+  _renameFile(file, name, dir = file.path.replace(/\/[^\/]+$/, '')) {
+    return this._reservePath(dir, name)
+      .then(path => {
+        return moveLocal(file.path, path)
+          .then(() => {
+            delete RESERVED_PATHS[path];
+            return { ...file, path };
+          }, err => {
+            delete RESERVED_PATHS[path];
+            return Promise.reject(err);
+          });
+      })
+      .catch(err => {
+        return unlinkLocal(file.path).then(() => Promise.reject(err));
+      });
+  }
+
+  /**
+   * Returns sanitized name of file for options.filename
+   * @param {Sequelize.Instance} instance
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} file.mimetype - detected MIME type
+   * @param {String} [file.originalname]
+   * @return {Promise<String, Error>}
+   */
+
+  _getFileName(instance, file) {
+    const original = file.originalname || file.sourceName ||
+      nameFromUrl(file.path);
+
+    switch (this._FILENAME) {
+      case 'original':
+        return Promise.resolve(
+          withExtension(sanitizeFilename(original), file.mimetype)
+        );
+      case 'slug':
+        return Promise.resolve(withExtension(slugify(original), file.mimetype));
+      case 'uuid':
+        return Promise.resolve(`${uuid()}.${extension(file.mimetype)}`);
+      case 'hash':
+        return getChecksum(file.path)
+          .then(hash => `${hash}.${extension(file.mimetype)}`);
+    }
+
+    return Promise.resolve()
+      .then(() => this._FILENAME(instance, { ...file, originalname: original }))
+      .then(name => {
+        if (typeof name !== 'string' || !name) {
+          throw new TypeError(
+            `Expected filename to return a string, but got ${typeOf(name)}`
+          );
+        }
+        return sanitizeFilename(name);
+      });
+  }
+
+  /**
+   * Returns path of name in dir, which no file or size is stored at yet,
+   * adding -1, -2... to name's base otherwise. Path is reserved until
+   * file is moved there, so concurrent uploads don't get the same path
+   * @param {String} dir - local directory, ex. public/uploads/users/1
+   * @param {String} name
+   * @return {Promise<String, Error>}
+   */
+
+  _reservePath(dir, name) {
+    const [base, ext] = splitExtension(name);
+
+    const tryPath = attempt => {
+      const candidate = attempt ?
+        `${base}-${attempt}${ext ? `.${ext}` : ''}` : name;
+      const path = `${dir}/${candidate}`;
+
+      if (RESERVED_PATHS[path]) return tryPath(attempt + 1);
+      RESERVED_PATHS[path] = true;
+
+      const keys = this._withSizes(this._publicPath(path));
+
+      return Promise.all([
+        localFileExists(path),
+        ...keys.map(key => this._STORAGE.exists(key))
+      ])
+      .then(exists => {
+        if (exists.indexOf(true) === -1) return path;
+        delete RESERVED_PATHS[path];
+        return tryPath(attempt + 1);
+      }, err => {
+        delete RESERVED_PATHS[path];
+        return Promise.reject(err);
+      });
+    };
+
+    return tryPath(0);
+  }
+
+  /**
+   * Replaces file's declared mimetype with detected one, which is kept as
+   * declaredMimetype
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} [file.mimetype]
+   * @return {Promise<Object, Error>}
+   */
+
+  _sniffFile(file) {
+    return sniffMimetype(file.path, file.mimetype)
+      .then(({ mimetype, mismatch }) => {
+        if (mismatch && this._REJECT_MISMATCH) {
+          throw this._validationError(this._MISMATCH_MESSAGE);
+        }
+        return {
+          ...file,
+          mimetype,
+          declaredMimetype: file.mimetype
+        };
+      });
+  }
+
+  /**
+   * Moves, writes or downloads file to instance's directory
+   * @param {Sequelize.Instance} instance
+   * @param {Object|String|Buffer|stream.Readable} file
+   * @return {Promise<Object, Error>|undefined}
+   */
+
+  _fetchFile(instance, file) {
+    if (Buffer.isBuffer(file) || isReadableStream(file)) {
+
+      return this._receiveData(instance, file);
+
+    } else if (
+         typeOf(file)         === 'Object'
+      && (Buffer.isBuffer(file.buffer) || isReadableStream(file.stream))
+    ) {
+
+      return this._receiveData(
+        instance,
+        file.buffer || file.stream,
+        file.mimetype,
+        file.originalname
+      );
+
+    } else if (
+         typeOf(file)         === 'Object'
+      && typeof file.mimetype === 'string'
+      && typeof file.path     === 'string'
+    ) {
+
+      return this._moveFromTemporary(file, instance);
+
+    } else if (typeof file === 'string' && /^data:/i.test(file)) {
+
+      const data = parseDataUri(file);
+      if (!data) {
+        return this._Error(this._validationError('Malformed data URI'));
+      }
+
+      return this._receiveData(instance, data.buffer, data.mimetype);
+
+    } else if (typeof file === 'string') {
+
+      const url = file;
+      const target = this._getFileNameForMoving(
+        instance,
+        url.split(/[?#]/)[0]
+      );
+
+      return this._reservePath(
+        target.replace(/\/[^\/]+$/, ''),
+        target.replace(/^.*\//, '')
+      )
+        .then(filename => {
+          return download(url, filename, this._DOWNLOAD_OPTIONS)
+            .then(file => {
+              delete RESERVED_PATHS[filename];
+              return file;
+            }, error => {
+              delete RESERVED_PATHS[filename];
+              return this._Error(this._validationError(error));
+            });
+        })
+        .then(file => ({
+          ...file,
+          originalname: nameFromUrl(url.split(/[?#]/)[0])
+        }));
+
+    }
+  }
+
+  /**
+   * Writes Buffer or stream to temporary file and moves it to instance's
+   * directory. If mimetype isn't given, it's detected from contents.
+   * Stream is aborted, once it exceeds options.maxSize
+   * @param {Sequelize.Instance} instance
+   * @param {Buffer|stream.Readable} data
+   * @param {String} [mimetype]
+   * @param {String} [name] - original file name
+   * @return {Promise<Object, Error>}
+   */
+
+  _receiveData(instance, data, mimetype, name) {
+    return writeTemporary(data, this._LIMITS.maxSize)
+      .catch(err => {
+        if (typeof err.bytes !== 'number') return Promise.reject(err);
+        return this._Error(this._validationError(this._sizeError(err.bytes, false)));
+      })
+      .then(path => {
+        return detectMimetype(path)
+          .then(detected => {
+            if (!mimetype) {
+              mimetype = detected ? detected.mime : 'application/octet-stream';
+            }
+            let fileName = name ? sanitizeFilename(name) : randomString(10);
+            if (!/\.[^.\/]+$/.test(fileName)) {
+              fileName += `.${extension(mimetype)}`;
+            }
+            return this._moveFromTemporary(
+              { path, mimetype, originalname: name },
+              instance,
+              fileName
+            );
+          });
+      });
+  }
+
+  /**
+   * Returns attached path, which value refers to. Urls are compared without
+   * options.baseUrl, version and signature, since they change over time
+   * @param {Array<String>} paths - attached paths
+   * @param {Object|String} value - path, url or getter's size map
+   * @param {Sequelize.Instance} [instance] - files' instance
+   * @return {String|undefined}
+   */
+
+  _findAttached(paths, value, instance) {
+    const url = typeOf(value) === 'Object' ? value.original : value;
+    if (typeof url !== 'string') return;
+
+    const baseUrl = this._getBaseUrl(instance);
+    const stripped = stripUrl(url, baseUrl);
+
+    return paths.filter(path => {
+      return path === url
+        || stripUrl(this._url(path, { instance }), baseUrl) === stripped;
+    })[0];
+  }
+
+  /**
+   * Returns array of paths, stored in instance's path attribute
+   * @param {Sequelize.Instance} instance
+   * @return {Array<String>}
+   */
+
+  _getPaths(instance) {
+    return this._parsePaths(instance.getDataValue(this._PATH_ATTRIBUTE_NAME));
+  }
+
+  /**
+   * Returns instance's stored metadata: an object, or array of objects in
+   * multiple mode
+   * @param {Sequelize.Instance} instance
+   * @return {Object|Array<Object>|Null}
+   */
+
+  _getMeta(instance) {
+    if (!this._METADATA_IS_ON) return null;
+    return parseMeta(instance.getDataValue(this._META_ATTRIBUTE_NAME));
+  }
+
+  /**
+   * Returns values to set on instance for metadata
+   * @param {Object|Array<Object>} meta
+   * @return {Object} { [metaAttribute]: JSON } or empty object if metadata
+   *                  is off
+   */
+
+  _metaValues(meta) {
+    if (!this._METADATA_IS_ON) return {};
+    return { [this._META_ATTRIBUTE_NAME]: JSON.stringify(meta) };
+  }
+
+  /**
+   * Returns values to set on instance for original names, which are stored
+   * only with options.filename
+   * @param {String|Array<String>} names - name, or array of names in
+   *                  multiple mode
+   * @return {Object} { [originalNameAttribute] } or empty object
+   */
+
+  _originalNameValues(names) {
+    if (!this._FILENAME) return {};
+    return {
+      [this._ORIGINAL_NAME_ATTRIBUTE_NAME]: this._MULTIPLE ?
+        JSON.stringify(names.map(name => name || null)) : names || null
+    };
+  }
+
+  /**
+   * Returns instance's versions, newest first
+   * @param {Sequelize.Instance} instance
+   * @return {Array<Object>} [{ id, path, meta, originalName, replacedAt }],
+   *                  path, meta and originalName are values of attribute's
+   *                  fields, before it was replaced
+   */
+
+  _getVersions(instance) {
+    if (!this._KEEP_VERSIONS) return [];
+    const versions = parseMeta(
+      instance.getDataValue(this._VERSIONS_ATTRIBUTE_NAME)
+    );
+    return typeOf(versions) === 'Array' ? versions : [];
+  }
+
+  /**
+   * Returns values to set on instance for versions: current files are
+   * recorded as a version, if paths replace them, and versions beyond
+   * options.keepVersions are pruned. With cleanup, files of pruned
+   * versions, which aren't referred anymore, are deleted
+   * @param {Sequelize.Instance} instance
+   * @param {Array<String>} paths - paths, which will be set on instance
+   * @param {Object} [options] - sequelize hook options
+   * @param {Array<Object>} [versions] - defaults to instance's versions
+   * @return {Object} { [versionsAttribute]: JSON } or empty object if
+   *                  versions are off
+   */
+
+  _versionValues(instance, paths, options, versions) {
+    if (!this._KEEP_VERSIONS) return {};
+
+    const current = this._getPaths(instance);
+    const isReplaced = current.length !== paths.length
+      || current.some((path, index) => paths[index] !== path);
+
+    versions = versions || this._getVersions(instance);
+
+    if (current.length && isReplaced) {
+      const names = this._FILENAME ?
+        instance.getDataValue(this._ORIGINAL_NAME_ATTRIBUTE_NAME) : null;
+
+      versions = [{
+        id: randomString(8),
+        path: instance.getDataValue(this._PATH_ATTRIBUTE_NAME),
+        meta: this._getMeta(instance),
+        originalName: this._MULTIPLE ? parseMeta(names) : names,
+        replacedAt: new Date().toISOString()
+      }].concat(versions);
+    }
+
+    const kept = versions.slice(0, this._KEEP_VERSIONS);
+    const pruned = versions.slice(this._KEEP_VERSIONS);
+
+    if (this._CLEANUP_IS_ON && pruned.length) {
+      const used = paths.concat(this._getVersionPaths(kept));
+      this._deletePaths(
+        this._getVersionPaths(pruned).filter(path => used.indexOf(path) === -1),
+        options,
+        instance
+      );
+    }
+
+    return {
+      [this._VERSIONS_ATTRIBUTE_NAME]: kept.length ?
+        JSON.stringify(kept) : null
+    };
+  }
+
+  /**
+   * Returns unique paths of versions' files
+   * @param {Array<Object>} versions
+   * @return {Array<String>}
+   */
+
+  _getVersionPaths(versions) {
+    const paths = [];
+    versions.forEach(version => {
+      this._parsePaths(version.path).forEach(path => {
+        if (paths.indexOf(path) === -1) paths.push(path);
+      });
+    });
+    return paths;
+  }
+
+  /**
+   * Returns paths of instance's current files followed by paths of files of
+   * its versions
+   * @param {Sequelize.Instance} instance
+   * @return {Array<String>}
+   */
+
+  _getAllPaths(instance) {
+    const paths = this._getPaths(instance);
+    return paths.concat(
+      this._getVersionPaths(this._getVersions(instance))
+        .filter(path => paths.indexOf(path) === -1)
+    );
+  }
+
+  /**
+   * Returns values to set on instance for processing status
+   * @param {Sequelize.Instance} instance
+   * @param {Boolean} pending - if true, new files wait for background job
+   * @param {Boolean} [empty] - if true, there are no files
+   * @return {Object} { [statusAttribute], [errorAttribute] } or empty object
+   *                  if background processing is off
+   */
+
+  _statusValues(instance, pending, empty) {
+    if (!this._BACKGROUND) return {};
+
+    let status = STATUS.READY;
+    if (empty) status = null;
+    if (pending) status = STATUS.PENDING;
+
+    /* Already attached files in multiple mode keep their status */
+    const current = instance.getDataValue(this._STATUS_ATTRIBUTE_NAME);
+    if (this._MULTIPLE && !pending && !empty && current) status = current;
+
+    return {
+      [this._STATUS_ATTRIBUTE_NAME]: status,
+      [this._ERROR_ATTRIBUTE_NAME]: status === current ?
+        instance.getDataValue(this._ERROR_ATTRIBUTE_NAME) : null
+    };
+  }
+
+  /**
+   * Remembers background job for files, which is enqueued after instance
+   * is saved
+   * @param {Sequelize.Instance} instance
+   * @param {Array<{ path: String, crop: Object }>} files
+   */
+
+  _deferJob(instance, files) {
+    if (!files.length) return;
+
+    const jobs = JOBS.get(instance) || {};
+    jobs[this._VIRTUAL_ATTRIBUTE_NAME] = files;
+    JOBS.set(instance, jobs);
+  }
+
+  /**
+   * Adds job for saved instance to queue. Job is a plain object, so it
+   * can be serialized by external queues
+   * @param {Object} job
+   * @param {*} job.id - row's primary key
+   * @param {Array<{ path: String, crop: Object }>} job.files
+   * @return {Promise}
+   */
+
+  _enqueue({ id, files }) {
+    return Promise.resolve()
+      .then(() => this._QUEUE.enqueue({
+        model: this._MODEL.name,
+        attribute: this._VIRTUAL_ATTRIBUTE_NAME,
+        id,
+        files
+      }))
+      .catch(error => this._setStatus(id, STATUS.FAILED, error));
+  }
+
+  /**
+   * Renders sizes of job's files, if they are still attached to the row,
+   * and updates row's status
+   * @param {Object} job - see _enqueue
+   * @return {Promise}
+   */
+
+  _processJob(job) {
+    const Model = this._MODEL;
+
+    return findByPk(Model, job.id)
+    .then(row => {
+      if (!row) return;
+
+      const paths = this._getPaths(row);
+      const files = job.files.filter(({ path }) => paths.indexOf(path) !== -1);
+      if (!files.length) return;
+
+      return this._setStatus(job.id, STATUS.PROCESSING)
+      .then(() => files.reduce((promise, { path, crop }) => {
+        return promise.then(() => this._reprocessPath(path, crop, this._SIZES));
+      }, Promise.resolve()))
+      .then(() => this._setStatus(job.id, STATUS.READY), error => {
+        return this._setStatus(job.id, STATUS.FAILED, error)
+          .then(() => Promise.reject(error));
+      });
+    });
+  }
+
+  /**
+   * Updates row's status and error without hooks
+   * @param {*} id - row's primary key
+   * @param {String} status
+   * @param {Error|String} [error]
+   * @return {Promise}
+   */
+
+  _setStatus(id, status, error) {
+    const Model = this._MODEL;
+    return Model.update({
+      [this._STATUS_ATTRIBUTE_NAME]: status,
+      [this._ERROR_ATTRIBUTE_NAME]: error ?
+        String(error.message || error) : null
+    }, {
+      where: { [Model.primaryKeyAttribute]: id },
+      hooks: false
+    });
+  }
+
+  /**
+   * Returns array of paths for path attribute's value
+   * @param {String|Null} value
+   * @return {Array<String>}
+   */
+
+  _parsePaths(value) {
+    if (!this._MULTIPLE) return value ? [value] : [];
+    return parsePaths(value);
+  }
+
+  /**
+   * Returns all storage keys referenced by Model's rows: originals and
+   * their sizes, including ones of versions. Rows are fetched in batches,
+   * including soft-deleted ones
+   * @return {Promise<Array<String>, Error>}
+   */
+
+  _getReferencedKeys() {
+    const Model = this._MODEL;
+    const attribute = this._PATH_ATTRIBUTE_NAME;
+    const versions = this._VERSIONS_ATTRIBUTE_NAME;
+    let keys = [];
+
+    /* Rows without current files may still have versions */
+    const fetch = offset => Model.findAll({
+      attributes: this._KEEP_VERSIONS ? [attribute, versions] : [attribute],
+      where: this._KEEP_VERSIONS ?
+        undefined : { [attribute]: { [Op.ne]: null } },
+      order: Model.primaryKeyAttribute ?
+        [[Model.primaryKeyAttribute, 'ASC']] : undefined,
+      offset,
+      limit: REFERENCES_BATCH_SIZE,
+      paranoid: false,
+      raw: true
+    })
+    .then(rows => {
+      rows.forEach(row => {
+        const paths = this._parsePaths(row[attribute]).concat(
+          this._getVersionPaths(parseMeta(row[versions]) || [])
+        );
+        paths.forEach(path => keys = keys.concat(this._withSizes(path)));
+      });
+
+      if (rows.length < REFERENCES_BATCH_SIZE) return keys;
+      return fetch(offset + REFERENCES_BATCH_SIZE);
+    });
+
+    return fetch(0);
+  }
+
+  /**
+   * Returns definitions (including this one), which share storage prefix
+   * with this one, so their rows may refer to the same files
+   * @return {Array<SequelizeField>}
+   */
+
+  _getRelatedDefinitions() {
+    const prefix = this._getStoragePrefix();
+
+    return DEFINITIONS.filter(definition => {
+      const other = definition._getStoragePrefix();
+      return definition._STORAGE === this._STORAGE
+        && (isSubpath(other, prefix) || isSubpath(prefix, other));
+    });
+  }
+
+  /**
+   * Counts rows of related definitions, which refer to path, including
+   * soft-deleted ones
+   * @param {String} path - original's key
+   * @param {Sequelize.Instance} [instance] - row, which is left out, since
+   *                    it's being updated or destroyed
+   * @return {Promise<Number, Error>}
+   */
+
+  _countReferences(path, instance) {
+    return Promise.all(this._getRelatedDefinitions().map(definition => {
+      const Model = definition._MODEL;
+      const primaryKey = Model.primaryKeyAttribute;
+      const where = {
+        [definition._PATH_ATTRIBUTE_NAME]: definition._MULTIPLE ?
+          { [Op.like]: `%${JSON.stringify(path)}%` } : path
+      };
+
+      if (instance && definition === this && primaryKey) {
+        const id = instance.get(primaryKey);
+        if (id !== null && typeof id !== 'undefined') {
+          where[primaryKey] = { [Op.ne]: id };
+        }
+      }
+
+      return Model.count({ where, paranoid: false });
+    }))
+    .then(counts => counts.reduce((sum, count) => sum + count, 0));
+  }
+
+  /**
+   * Returns keys referenced by rows of every definition, which shares
+   * storage prefix with this one
+   * @return {Promise<Object, Error>} promise which resolves with
+   *                    { [key]: true } object
+   */
+
+  _getReferencedKeySet() {
+    return Promise.all(this._getRelatedDefinitions().map(definition => {
+      return definition._getReferencedKeys();
+    }))
+    .then(lists => {
+      const referenced = {};
+      lists.forEach(keys => keys.forEach(key => referenced[key] = true));
+      return referenced;
+    });
+  }
+
+  /**
+   * Re-renders sizes of a single instance's files from stored originals
+   * @param {Sequelize.Instance} instance
+   * @param {Object} sizes - sizes to render
+   * @param {Object|Null} referenced - keys referenced by any row, stale
+   *                    sizes aren't removed if null
+   * @param {Object} listings - cache of directory listings
+   * @return {Promise}
+   */
+
+  _reprocessInstance(instance, sizes, referenced, listings) {
+    return this._getPaths(instance).reduce((promise, path, index) => {
+      return promise
+        .then(() => {
+          return this._reprocessPath(path, this._getCrop(instance, index), sizes);
+        })
+        .then(() => {
+          if (referenced) {
+            return this._removeStaleSizes(path, referenced, listings);
+          }
+        });
+    }, Promise.resolve());
+  }
+
+  /**
+   * Re-renders sizes of a stored original. If original isn't on local disk,
+   * it's fetched from storage and removed afterwards
+   * @param {String} path - original's key
+   * @param {Object} [crop] - crop in percents
+   * @param {Object} sizes - sizes to render
+   * @return {Promise}
+   */
+
+  _reprocessPath(path, crop, sizes) {
+    const local = this._fromPublic(path);
+    let fetched = false;
+
+    return localFileExists(local)
+      .then(exists => {
+        if (exists) return;
+        fetched = true;
+        return writeData(this._STORAGE.createReadStream(path), local);
+      })
+      .then(() => sniffMimetype(local))
+      .then(({ mimetype }) => {
+        if (!/image/.test(mimetype)) return;
+
+        const file = { path: local, mimetype };
+
+        return this._processImage(file, crop, sizes)
+        .then(() => Promise.all(
+          Object.keys(sizes).map(name => {
+            const source = this._sizePath(local, name);
+            return this._write(
+              source,
+              this._publicPath(source),
+              this._sizeMimetype(name, mimetype)
+            );
+          })
+        ));
+      })
+      .then(() => {
+        if (fetched) return unlinkLocal(local);
+      });
+  }
+
+  /**
+   * Deletes sizes of original, whose names aren't in options.sizes anymore
+   * or whose format was changed. Storage should implement list(prefix)
+   * method
+   * @param {String} path - original's key
+   * @param {Object} referenced - keys referenced by any row, which are
+   *                    never deleted
+   * @param {Object} listings - cache of directory listings
+   * @return {Promise}
+   */
+
+  _removeStaleSizes(path, referenced, listings) {
+    const dir = path.replace(/\/[^\/]+$/, '');
+    const parts = path.match(/(.+)(\..+)$/);
+    if (!parts) return Promise.resolve();
+
+    /* Sizes may have other extension, if their format was changed */
+    const pattern = new RegExp(
+      '^' + escapeStringRegexp(parts[1]) + '_(.+)\\.[^.\\/]+$'
+    );
+
+    if (!listings[dir]) listings[dir] = this._STORAGE.list(`${dir}/`);
+
+    return listings[dir].then(files => Promise.all(
+      files
+        .filter(file => {
+          const match = file.key.match(pattern);
+          if (!match || referenced[file.key]) return false;
+          return !this._SIZES.hasOwnProperty(match[1])
+            || this._sizePath(path, match[1]) !== file.key;
+        })
+        .map(file => this._STORAGE.delete(file.key))
+    ));
+  }
+
+  /**
+   * Finds original and size's name for size's key. Only stored files,
+   * which rows refer to, are originals, so sizes of sizes aren't rendered
+   * @param {String} key - ex. /uploads/users/pictures/1/pic_small.webp
+   * @return {Promise<{ original: String, name: String }|null, Error>}
+   */
+
+  _findOriginal(key) {
+    const dir = key.replace(/\/[^\/]+$/, '');
+
+    const candidates = Object.keys(this._SIZES).map(name => {
+      const match = key.match(new RegExp(
+        '^(.+)_' + escapeStringRegexp(name) + '(\\.[^.\\/]+)$'
+      ));
+      if (!match) return [];
+
+      const [base, ext] = match.slice(1);
+
+      /* Original may have other extension, if size has its own format */
+      if (!this._getFormat(name) || typeof this._STORAGE.list !== 'function') {
+        return [{ original: base + ext, name }];
+      }
+
+      const pattern = new RegExp('^' + escapeStringRegexp(base) + '\\.[^.\\/]+$');
+      return this._STORAGE.list(`${dir}/`).then(files => files
+        .filter(file => pattern.test(file.key) && file.key !== key)
+        .map(file => ({ original: file.key, name })));
+    });
+
+    return Promise.all(candidates)
+    .then(lists => [].concat(...lists)
+      .filter(({ original, name }) => this._sizePath(original, name) === key))
+    .then(candidates => candidates.reduce((promise, candidate) => {
+      return promise.then(found => {
+        if (found) return found;
+        return this._STORAGE.exists(candidate.original)
+          .then(exists => exists && this._countReferences(candidate.original))
+          .then(references => references ? candidate : null);
+      });
+    }, Promise.resolve(null)));
+  }
+
+  /**
+   * Renders single size of stored original, once at a time for every key.
+   * Rejects for definitions with crop, since crop isn't stored
+   * @param {String} original - original's key
+   * @param {String} name - size's name
+   * @return {Promise}
+   */
+
+  _renderSize(original, name) {
+    if (this._CROP_IS_ON) {
+      return Promise.reject(
+        new Error('Can\'t render cropped sizes on demand')
+      );
+    }
+
+    const key = this._sizePath(original, name);
+    const rendering = this._RENDERING || (this._RENDERING = {});
+
+    if (!rendering[key]) {
+      rendering[key] = this._reprocessPath(
+        original,
+        undefined,
+        { [name]: this._SIZES[name] }
+      )
+      .then(() => { delete rendering[key]; }, err => {
+        delete rendering[key];
+        return Promise.reject(err);
+      });
+    }
+
+    return rendering[key];
+  }
+
+  /**
+   * Returns storage prefix, under which Model's files are stored
+   * @return {String}
+   */
+
+  _getStoragePrefix() {
+    return this._publicPath(this._MODEL_PATH);
+  }
+
+  /**
+   * Returns instance base path
+   * @param {Sequelize.Instance} instance
+_   * @return {String}
+   */
+
+  _getInstancePath(instance) {
+    if (!this._FOLDER_KEY || !this._GROUP_BY_ATTRIBUTE || this._DEDUPLICATE) {
+      return this._MODEL_PATH;
+    }
+    return `${this._MODEL_PATH}/${instance.getDataValue(this._FOLDER_KEY)}`;
+  }
+
+  /**
+   * Returns path to which temporary file will be moved to for a given instance
+   * @param {Sequelize.Instance} instance
+   * @param {String} tmp
+   * @return {String}
+   */
+
+  _getFileNameForMoving(instance, tmp) {
+    let fileName = sanitizeFilename(nameFromUrl(tmp));
+
+    if (
+         !this._FOLDER_KEY
+      || !this._GROUP_BY_ATTRIBUTE
+      || this._MULTIPLE
+      || this._DEDUPLICATE
+      || this._FILENAME
+      || this._KEEP_VERSIONS
+    ) {
+      const [name, ext] = getFileInfo(fileName);
+      const hash = randomString(5);
+      fileName = name + `_${hash}.${ext}`;
+    };
+
+    return this._getInstancePath(instance) + `/${fileName}`;
+  }
+
+  /**
+   * Returns Promise.reject() with a SequelizeValidationError
+   * @param {Error|String} errors
+   * @return {Function}
+   */
+
+  _validationError(err) {
+    let message;
+    switch (typeof err) {
+      case 'string':
+        message = err;
+        break;
+      case 'object':
+        message = err.message;
+        break;
+    };
+
+    const validationError = validationErrorItem(message,
+      this._VIRTUAL_ATTRIBUTE_NAME
+    );
+
+    return new ValidationError(message, [validationError]);
+  }
+
+  _Error(error) {
+    return Promise.reject(error);
+  }
+
+  /** Sequelize hook with files deleting logic. Soft deletes of paranoid
+   * models keep files or move them to trash, force destroys delete them
+   * together with trashed ones
+   * @param {Sequelize.Instance} instance
+   * @param {Object} options
+   */
+
+  _destroyFileHook = (instance, options) => {
+    if (!this._CLEANUP_IS_ON) return;
+
+    const paths = this._getAllPaths(instance);
+    const force = options && options.force;
+
+    if (getDeletedAtAttribute(this._MODEL) && !force) {
+      if (this._TRASH) return this._movePaths(paths, options);
+      return;
+    }
+
+    const trashed = this._TRASH ?
+      paths.map(path => this._trashKey(path)) : [];
+
+    return this._deletePaths(paths.concat(trashed), options, instance);
+  };
+
+  /**
+   * Sequelize afterRestore hook, moves files back from trash
+   * @param {Sequelize.Instance} instance
+   * @param {Object} options - Sequelize restore options
+   * @return {Promise|undefined}
+   */
+
+  _restoreFileHook = (instance, options) => {
+    if (!this._CLEANUP_IS_ON || !this._TRASH) return;
+    return this._movePaths(this._getAllPaths(instance), options, true);
+  };
+
+  /**
+   * Sequelize beforeBulkRestore hook, finds soft deleted rows, whose files
+   * are moved back from trash in afterBulkRestore hook, unless
+   * options.individualHooks are on
+   * @param {Object} options - Sequelize restore options
+   * @return {Promise|undefined}
+   */
+
+  _beforeBulkRestoreHook = options => {
+    if (!this._CLEANUP_IS_ON || !this._TRASH || options.individualHooks) {
+      return;
+    }
+
+    const deletedAt = getDeletedAtAttribute(this._MODEL);
+    const deleted = { [deletedAt]: { [Op.ne]: null } };
+
+    return this._MODEL.findAll({
+      where: options.where ? { [Op.and]: [options.where, deleted] } : deleted,
+      limit: options.limit,
+      paranoid: false,
+      transaction: options.transaction
+    })
+    .then(rows => {
+      BULK.set(options, {
+        ...BULK.get(options),
+        [this._VIRTUAL_ATTRIBUTE_NAME]: rows
+      });
+    });
+  };
+
+  /**
+   * Sequelize afterBulkRestore hook, moves files of restored rows back
+   * from trash with bounded concurrency
+   * @param {Object} options - Sequelize restore options
+   * @return {Promise|undefined}
+   */
+
+  _afterBulkRestoreHook = options => {
+    const rows = this._takeBulk(options);
+    if (!rows) return;
+
+    return mapLimit(rows, this._BULK_CONCURRENCY, row => {
+      return this._restoreFileHook(row, options);
+    });
+  };
+
+  /** Moves originals and all of their sizes to trash or back from it. If
+   * options have a transaction, files are moved only after it's committed.
+   * Missing files are skipped, so moving twice is harmless
+   * @param {Array<String>} paths
+   * @param {Object} [options] - sequelize hook options
+   * @param {Boolean} [restore=false] - if true, files are moved back
+   * @return {Promise}
+   */
+
+  _movePaths(paths, options, restore) {
+    const transaction = options && options.transaction;
+
+    if (transaction) {
+      onTransactionEnd(transaction, {
+        commit: () => this._movePaths(paths, undefined, restore)
+      });
+      return Promise.resolve();
+    }
+
+    let keys = [];
+    paths.forEach(path => keys = keys.concat(this._withSizes(path)));
+
+    return Promise.all(keys.map(key => {
+      const trashed = this._trashKey(key);
+      return restore ?
+        this._moveKey(trashed, key) :
+        this._moveKey(key, trashed);
+    }));
+  }
+
+  /** Moves file within storage, if it exists
+   * @param {String} source - key
+   * @param {String} target - key
+   * @return {Promise}
+   */
+
+  _moveKey(source, target) {
+    return this._STORAGE.exists(source)
+      .then(exists => {
+        if (!exists) return;
+
+        return this._write(
+          this._STORAGE.createReadStream(source),
+          target,
+          lookupMimetype(source)
+        )
+        .then(() => this._STORAGE.delete(source));
+      });
+  }
+
+  /** Returns key of file in trash
+   * @param {String} key - ex. /uploads/users/pictures/1/original.png
+   * @return {String} ex. /.trash/uploads/users/pictures/1/original.png
+   */
+
+  _trashKey(key) {
+    return `${this._TRASH}${key}`;
+  }
+
+  /** Deletes originals and all of their sizes from storage. If options have
+   * a transaction, files are deleted only after it's committed. With
+   * deduplication, files, which other rows still refer to, are kept
+   * @param {Array<String>} paths
+   * @param {Object} [options] - sequelize hook options
+   * @param {Sequelize.Instance} [instance] - row, whose references don't
+   *                    count
+   * @return {Promise}
+   */
+
+  _deletePaths(paths, options, instance) {
+    const transaction = options && options.transaction;
+
+    if (transaction) {
+      onTransactionEnd(transaction, {
+        commit: () => this._deletePaths(paths, undefined, instance)
+      });
+      return Promise.resolve();
+    }
+
+    return this._getUnreferenced(paths, instance)
+    .then(paths => {
+      let keys = [];
+      paths.forEach(path => keys = keys.concat(this._withSizes(path)));
+      return Promise.all(
+        keys.map(key => this._STORAGE.delete(key).catch(e => {}))
+      );
+    });
+  }
+
+  /** Filters out paths, which rows still refer to. Without deduplication
+   * every path belongs to a single row, so nothing is filtered
+   * @param {Array<String>} paths
+   * @param {Sequelize.Instance} [instance] - row, whose references don't
+   *                    count
+   * @return {Promise<Array<String>, Error>}
+   */
+
+  _getUnreferenced(paths, instance) {
+    if (!this._DEDUPLICATE) return Promise.resolve(paths);
+
+    return Promise.all(paths.map(path => {
+      return this._countReferences(path, instance).catch(() => 1);
+    }))
+    .then(counts => paths.filter((path, index) => counts[index] === 0));
+  }
+
+  /** Marks newly stored files as staged: if options have a transaction,
+   * files are deleted when it's rolled back
+   * @param {Array<String>} paths
+   * @param {Object} [options] - sequelize hook options
+   */
+
+  _stagePaths(paths, options) {
+    const transaction = options && options.transaction;
+    if (!transaction) return;
+
+    onTransactionEnd(transaction, {
+      rollback: () => this._deletePaths(paths)
+    });
+  }
+
+  /** Returns path of original followed by paths of all of its sizes
+   * @param {String} path - original's path
+   * @return {Array<String>}
+   */
+
+  _withSizes(path) {
+    const keys = [path];
+    if (this._SIZES) {
+      this._forEachSize(this._SIZES, (size, name, options) => {
+        keys.push(this._sizePath(path, name));
+      });
+    }
+    return keys;
+  }
+
+  /** Returns path of original's size, with extension of size's format
+   * @param {String} path - original's path
+   * @param {String} name - size's name
+   * @return {String}
+   */
+
+  _sizePath(path, name) {
+    const format = this._getFormat(name);
+    return pathWithSize(path, name, format && format.extension);
+  }
+
+  /** Returns MIME type of size's file
+   * @param {String} name - size's name
+   * @param {String} mimetype - original's MIME type
+   * @return {String}
+   */
+
+  _sizeMimetype(name, mimetype) {
+    const format = this._getFormat(name);
+    return format ? format.mimetype : mimetype;
+  }
+
+  /** Returns output format of size, if it's set
+   * @param {String} name - size's name
+   * @return {{ extension: String, mimetype: String }|undefined}
+   */
+
+  _getFormat(name) {
+    const options = this._SIZES && this._SIZES[name];
+    if (typeOf(options) !== 'Object' || !options.format) return;
+    return FORMATS[options.format.toLowerCase()];
+  }
+
+
+  /** Returns url of storage key: signed url for private files, storage's
+   * url otherwise. Relative urls are prefixed with options.baseUrl, and
+   * options.version is added as v query param
+   * @param {String} key
+   * @param {Object} [options]
+   * @param {Sequelize.Instance} [options.instance] - file's instance
+   * @param {Object} [options.meta] - file's metadata
+   * @param {Number} [options.expiresIn=options.expiresIn] - in milliseconds
+   * @return {String}
+   */
+
+  _url(key, { instance, meta, expiresIn } = {}) {
+    let url = !this._PRIVATE ? this._STORAGE.url(key) :
+      signUrl(this._PRIVATE_URL, key, {
+        secret: this._SECRET,
+        expiresIn: typeof expiresIn === 'number' ? expiresIn : this._EXPIRES_IN
+      });
+
+    const version = this._getVersion(instance, meta);
+    if (version) {
+      url += `${url.indexOf('?') === -1 ? '?' : '&'}v=${version}`;
+    }
+
+    if (!this._BASE_URL || !/^\/(?!\/)/.test(url)) return url;
+
+    return `${this._getBaseUrl(instance)}${url}`;
+  }
+
+  /** Returns options.baseUrl of instance without trailing slashes
+   * @param {Sequelize.Instance} [instance]
+   * @return {String} empty string, if there is no baseUrl
+   */
+
+  _getBaseUrl(instance) {
+    const baseUrl = typeof this._BASE_URL === 'function' ?
+      this._BASE_URL(instance) : this._BASE_URL;
+
+    return String(baseUrl || '').replace(/\/+$/, '');
+  }
+
+  /** Returns cache-busting version of instance's file for options.version:
+   * instance's update time in milliseconds or first 12 characters of file's
+   * checksum
+   * @param {Sequelize.Instance} [instance]
+   * @param {Object} [meta] - file's metadata
+   * @return {String|undefined}
+   */
+
+  _getVersion(instance, meta) {
+    if (this._VERSION === 'checksum') {
+      return meta && meta.checksum ? meta.checksum.substr(0, 12) : undefined;
+    }
+
+    if (this._VERSION === 'updatedAt' && instance) {
+      const timestamps = this._MODEL && this._MODEL._timestampAttributes;
+      const updatedAt = instance.get(
+        timestamps && timestamps.updatedAt || 'updatedAt'
+      );
+      const time = updatedAt && new Date(updatedAt).getTime();
+      return time ? String(time) : undefined;
+    }
+  }
+
+  /** Returns url of instance's file or its size, see attachmentUrl
+   * @param {Sequelize.Instance} instance
+   * @param {Object} [options]
+   * @param {String} [options.size] - size's name, defaults to original
+   * @param {Number} [options.index=0] - file's index in multiple mode
+   * @param {Number} [options.expiresIn] - lifetime of private file's url
+   * @return {String|undefined} undefined, if there is no file
+   */
+
+  _getUrl(instance, { size, index, expiresIn } = {}) {
+    validateType({ size },      'String | Undefined');
+    validateType({ index },     'Number | Undefined');
+    validateType({ expiresIn }, 'Number | Undefined');
+
+    const path = this._getPaths(instance)[index || 0];
+    if (!path) return;
+
+    const meta = this._getMeta(instance);
+    const options = {
+      instance,
+      meta: this._MULTIPLE ? (meta || [])[index || 0] : meta,
+      expiresIn
+    };
+
+    if (!size || size === 'original') return this._url(path, options);
+
+    if (
+         typeOf(this._SIZES) !== 'Object'
+      || !Object.prototype.hasOwnProperty.call(this._SIZES, size)
+    ) {
+      throw new Error(
+        `Unknown size ${size} of ${this._VIRTUAL_ATTRIBUTE_NAME}`
+      );
+    }
+
+    /* Sizes fall back to original until background job renders them */
+    const status = this._BACKGROUND &&
+      instance.getDataValue(this._STATUS_ATTRIBUTE_NAME);
+    if (status && status !== STATUS.READY) return this._url(path, options);
+
+    return this._url(this._sizePath(path, size), options);
+  }
+
+
+  /** Returns get method for virtual attribute,
+    * @return {Function} getter
+    */
+
+  _virtualAttributeGetter() {
+    const {
+      _SIZES,
+      _PATH_ATTRIBUTE_NAME,
+      _META_ATTRIBUTE_NAME,
+      _METADATA_IS_ON,
+      _STATUS_ATTRIBUTE_NAME,
+      _BACKGROUND,
+      _MULTIPLE,
+      _forEachSize
+    } = this;
+
+    const sizePath = (path, name) => this._sizePath(path, name);
+
+    /* Sizes fall back to original until background job renders them */
+    const getUrls = (instance, path, meta, status) => {
+      const url = key => this._url(key, { instance, meta });
+      if (!_SIZES && !_METADATA_IS_ON) return url(path);
+      const ready = !status || status === STATUS.READY;
+      let output = {
+        original: url(path)
+      };
+      _SIZES && _forEachSize(_SIZES, (size, name, options) => {
+        output[name] = ready ? url(sizePath(path, name)) : output.original;
+      });
+      if (_METADATA_IS_ON) output.meta = meta || null;
+      return output;
+    };
+
+    if (_MULTIPLE) {
+      return function () {
+        const meta = _METADATA_IS_ON ?
+          parseMeta(this.getDataValue(_META_ATTRIBUTE_NAME)) || [] : [];
+        const status = _BACKGROUND && this.getDataValue(_STATUS_ATTRIBUTE_NAME);
+        return parsePaths(this.getDataValue(_PATH_ATTRIBUTE_NAME))
+          .map((path, index) => getUrls(this, path, meta[index], status));
+      };
+    }
+
+    return function () {
+      const path = this.getDataValue(_PATH_ATTRIBUTE_NAME);
+      if (!path) return _SIZES || _METADATA_IS_ON ? undefined : path;
+      return getUrls(
+        this,
+        path,
+        _METADATA_IS_ON && parseMeta(this.getDataValue(_META_ATTRIBUTE_NAME)),
+        _BACKGROUND && this.getDataValue(_STATUS_ATTRIBUTE_NAME)
+      );
+    };
+  }
+
+
+  /** Returns an object with required attributes: [name]: VIRTUAL,
+    * [name]Path:STRING(1234) (TEXT in multiple mode), [name]Crop: VIRTUAL,
+    * if constructor's options.crop is true, [name]Meta: TEXT, if
+    * options.metadata is true, [name]Status: STRING and [name]Error: TEXT,
+    * if options.background is true, [name]OriginalName: STRING(1234) (TEXT
+    * in multiple mode), if options.filename is set, [name]Versions: TEXT,
+    * if options.keepVersions is set
+    * @return {Object}
+    */
+
+  _getAttrs() {
+    let obj = {
       [this._VIRTUAL_ATTRIBUTE_NAME]: {
         type: VIRTUAL,
         get: this._virtualAttributeGetter()
       },
       [this._PATH_ATTRIBUTE_NAME]: {
-        type: STRING(1234),
+        type: this._MULTIPLE ? TEXT : STRING(1234),
+        allowNull: true
+      }
+    };
+    if (this._CROP_IS_ON) {
+      obj[this._CROP_ATTRIBUTE_NAME] = {
+        type: VIRTUAL
+      };
+    };
+    if (this._METADATA_IS_ON) {
+      obj[this._META_ATTRIBUTE_NAME] = {
+        type: TEXT,
+        allowNull: true
+      };
+    }
+    if (this._FILENAME) {
+      obj[this._ORIGINAL_NAME_ATTRIBUTE_NAME] = {
+        type: this._MULTIPLE ? TEXT : STRING(1234),
+        allowNull: true
+      };
+    }
+    if (this._KEEP_VERSIONS) {
+      obj[this._VERSIONS_ATTRIBUTE_NAME] = {
+        type: TEXT,
+        allowNull: true
+      };
+    }
+    if (this._BACKGROUND) {
+      obj[this._STATUS_ATTRIBUTE_NAME] = {
+        type: STRING,
+        allowNull: true
+      };
+      obj[this._ERROR_ATTRIBUTE_NAME] = {
+        type: TEXT,
         allowNull: true
+      };
+    }
+    return obj;
+  }
+
+
+  /** Moves file to instance's directory
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {Sequelize.Instance} instance
+   * @param {String} [name] - file name to use instead of path's last segment
+   * @return {Promise<File, error>}
+   */
+
+  _moveFromTemporary(file, instance, name) {
+    const source = name ? `/${name}` : file.path;
+    const target = this._getFileNameForMoving(instance, source);
+
+    return this._renameFile(
+      file,
+      target.replace(/^.*\//, ''),
+      target.replace(/\/[^\/]+$/, '')
+    )
+    .then(moved => ({ ...moved, sourceName: nameFromUrl(source) }));
+  }
+
+
+  /** Returns true if sizes of file are rendered when it's stored, and not
+   * on demand or in background
+   * @param {Object} file
+   * @param {String} file.mimetype
+   * @return {Boolean}
+   */
+
+  _rendersSizes(file) {
+    return !!this._SIZES
+      && !this._ON_DEMAND
+      && !this._BACKGROUND
+      && /image/.test(file.mimetype);
+  }
+
+
+  /** Returns crop, set for file
+   * @param {Sequelize.Instance} [instance]
+   * @param {Number} [index] - file's index in multiple mode
+   * @return {Object|undefined} crop in percents { width, height, x, y }
+   */
+
+  _getCrop(instance, index) {
+    if (!instance || !this._CROP_IS_ON) return;
+    const crop = instance.getDataValue(this._CROP_ATTRIBUTE_NAME);
+    return typeOf(crop) === 'Array' ? crop[index] : crop;
+  }
+
+
+  /** Recizes image and crops it, if crop is given. With autoOrient image
+   * is oriented first
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {Object} [crop] - crop in percents, see _getCrop
+   * @param {Object} [sizes=options.sizes] - sizes to render
+   * @return {Promise}
+   */
+
+  _processImage(file, crop, sizes) {
+    const processor = this._IMAGE_PROCESSOR;
+
+    return processor.probe(file.path)
+    .then(probed => {
+      const dimensions = this._AUTO_ORIENT ?
+        orientedDimensions(probed) :
+        { width: probed.width, height: probed.height };
+
+      /* Crop's props are implied to be in percents - we need absolutes */
+      const rect = crop && cropRect(crop, dimensions);
+
+      /* Every size gets its own chain, since processors accumulate
+       * operations */
+      const source = () => {
+        let image = processor.load(file.path);
+        if (this._AUTO_ORIENT) image = processor.orient(image);
+        return rect ? processor.crop(image, rect) : image;
+      };
+
+      return this._resizeAll(source, rect || dimensions, file.path, sizes);
+    });
+  };
+
+
+  /** Rejects with SequelizeValidationError if file doesn't match
+   * constructor's options.mimetype or size and dimension limits
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} file.mimetype
+   * @return {Promise<Object, Error>} promise which resolves with file
+   */
+
+  _validateFile(file) {
+      if (!new RegExp(this._MIMETYPE).test(file.mimetype)) {
+        return this._Error(
+          this._validationError(
+            this._WRONG_TYPE_MESSAGE || `Wrong file MIME type: ` +
+            `should be ${mimetype}, but got ${file.type}`
+          )
+        );
+      }
+
+      return this._validateLimits(file).then(() => file);
+  }
+
+
+  /** Returns error message, if file's size is out of constructor's limits
+   * @param {Number} size - in bytes
+   * @param {Boolean} [complete=true] - if false, file is still being
+   *                    received, so only maxSize is checked
+   * @return {String|undefined}
+   */
+
+  _sizeError(size, complete = true) {
+    const { minSize, maxSize } = this._LIMITS;
+
+    if (size > maxSize) {
+      return `File is too large: maximum size is ${maxSize} bytes`;
+    }
+
+    if (complete && size < minSize) {
+      return `File is too small: minimum size is ${minSize} bytes`;
+    }
+  }
+
+
+  /** Rejects with SequelizeValidationError if file's size or image's
+   * dimensions are out of constructor's limits
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} file.mimetype
+   * @return {Promise<, Error>}
+   */
+
+  _validateLimits(file) {
+      const {
+        minWidth,
+        maxWidth,
+        minHeight,
+        maxHeight,
+        minAspectRatio,
+        maxAspectRatio
+      } = this._LIMITS;
+
+      const fail = message => this._Error(this._validationError(message));
+
+      return getFileSize(file.path)
+      .then(size => {
+        const sizeError = this._sizeError(size);
+        if (sizeError) return fail(sizeError);
+
+        if (!this._HAS_DIMENSION_LIMITS || !/image/.test(file.mimetype)) {
+          return;
+        }
+
+        return getDimensions(file.path)
+          .catch(() => fail('Can\'t read image\'s dimensions'))
+          .then(dimensions => this._AUTO_ORIENT ?
+            orientedDimensions(dimensions) :
+            dimensions
+          )
+          .then(({ width, height }) => {
+            const ratio = width / height;
+
+            if (width < minWidth) {
+              return fail(
+                `Image is too narrow: minimum width is ${minWidth}px`
+              );
+            }
+
+            if (width > maxWidth) {
+              return fail(`Image is too wide: maximum width is ${maxWidth}px`);
+            }
+
+            if (height < minHeight) {
+              return fail(
+                `Image is too short: minimum height is ${minHeight}px`
+              );
+            }
+
+            if (height > maxHeight) {
+              return fail(
+                `Image is too tall: maximum height is ${maxHeight}px`
+              );
+            }
+
+            if (ratio < minAspectRatio) {
+              return fail(
+                `Image is too tall for its width: minimum aspect ratio ` +
+                `is ${minAspectRatio}`
+              );
+            }
+
+            if (ratio > maxAspectRatio) {
+              return fail(
+                `Image is too wide for its height: maximum aspect ratio ` +
+                `is ${maxAspectRatio}`
+              );
+            }
+          });
+      });
+  }
+
+
+  /** Sets validated file's path to instance's path attribute
+   * @param {Object} instance - sequelize instance
+   * @param {Object} file
+   * @param {Boolean} afterCreate
+   * @param {Object} options - sequelize hook options
+   * @return {Promise<, Error>}
+   */
+
+  _attachValidFile(instance, file, afterCreate, options) {
+      const previous = instance.getDataValue(this._PATH_ATTRIBUTE_NAME);
+
+      instance.setDataValue(
+        this._VIRTUAL_ATTRIBUTE_NAME,
+        { updated: true }
+      );
+
+      return this._storeFile(instance, file)
+      .then(({ path, meta, pending }) => {
+        /* Replacement never overwrites previous file, so it's deleted only
+         * after replacement is stored. Same path is the same content of
+         * deduplicated file */
+        if (
+             this._CLEANUP_IS_ON
+          && previous !== path
+          && !this._KEEP_VERSIONS
+        ) {
+          this._deletePaths(this._getPaths(instance), options, instance);
+        }
+        if (path !== previous) this._stagePaths([path], options);
+        if (pending) {
+          this._deferJob(instance, [{ path, crop: this._getCrop(instance) }]);
+        }
+        return this._saveValues(instance, {
+          [this._PATH_ATTRIBUTE_NAME]: path,
+          ...this._versionValues(instance, [path], options),
+          ...this._metaValues(meta),
+          ...this._originalNameValues(file.originalname),
+          ...this._statusValues(instance, pending)
+        }, afterCreate, options);
+      });
+  };
+
+
+  /** Processes file, if it's an image, and writes it to storage
+   * @param {Object} instance - sequelize instance
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} file.mimetype
+   * @param {Number} [index] - file's index in multiple mode
+   * @return {Promise<{ path: String, meta: Object, pending: Boolean }, Error>}
+   *                  promise which resolves with path to store, metadata, if
+   *                  it's on, and whether sizes wait for background job
+   */
+
+  _storeFile(instance, file, index) {
+      return this._normalizeOriginal(file)
+      .then(() => {
+        if (this._DEDUPLICATE) {
+          return this._storeByContent(instance, file, index);
+        }
+
+        return this._processAndWrite(instance, file, index);
+      });
+  }
+
+
+  /** Rewrites original oriented and without metadata, if autoOrient or
+   * stripMetadata is on. Only formats, which sizes can be written in, are
+   * rewritten. Original keeps its format and processor's default quality
+   * @param {Object} file
+   * @param {String} file.path - local path
+   * @param {String} file.mimetype
+   * @return {Promise}
+   */
+
+  _normalizeOriginal(file) {
+    const processor = this._IMAGE_PROCESSOR;
+    const rewritable = Object.keys(FORMATS).some(format => {
+      return FORMATS[format].mimetype === file.mimetype;
+    });
+
+    if (!rewritable || (!this._AUTO_ORIENT && !this._STRIP_METADATA)) {
+      return Promise.resolve();
+    }
+
+    return processor.probe(file.path)
+    .then(({ orientation }) => {
+      const orients = this._AUTO_ORIENT && orientation > 1;
+      if (!orients && !this._STRIP_METADATA) return;
+
+      /* Processors can't write over their input */
+      const temporary = temporaryPath(file.path.replace(/^.*\//, ''));
+      const image = processor.load(file.path);
+
+      return createDir(temporary.replace(/\/[^\/]+$/, ''))
+      .then(() => processor.encode(
+        orients ? processor.orient(image) : image,
+        temporary,
+        { stripMetadata: this._STRIP_METADATA }
+      ))
+      .then(() => moveLocal(temporary, file.path))
+      .then(() => removeTemporary([temporary]));
+    });
+  }
+
+
+  /** Moves file to the key derived from its contents. If the key and all
+   * of its sizes are already stored, incoming file is removed and stored
+   * ones are reused
+   * @param {Object} instance - sequelize instance
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} file.mimetype
+   * @param {Number} [index] - file's index in multiple mode
+   * @return {Promise<{ path: String, meta: Object, pending: Boolean }, Error>}
+   */
+
+  _storeByContent(instance, file, index) {
+      return this._getContentKey(instance, file, index)
+      .then(key => {
+        const keys = this._rendersSizes(file) ? this._withSizes(key) : [key];
+
+        return Promise.all(keys.map(key => this._STORAGE.exists(key)))
+        .then(exists => {
+          if (exists.indexOf(false) !== -1) {
+            return moveLocal(file.path, this._fromPublic(key))
+              .then(path => {
+                return this._processAndWrite(instance, { ...file, path }, index);
+              });
+          }
+
+          return Promise.resolve()
+            .then(() => this._METADATA_IS_ON ? readMetadata(file) : undefined)
+            .then(meta => {
+              return unlinkLocal(file.path).then(() => ({ path: key, meta }));
+            });
+        });
+      });
+  }
+
+
+  /** Returns storage key for file's contents:
+   * [model path]/[first two chars of hash]/[hash].[extension]. Hash is
+   * sha256 of contents, mixed with crop, since sizes depend on it
+   * @param {Object} instance - sequelize instance
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} file.mimetype
+   * @param {Number} [index] - file's index in multiple mode
+   * @return {Promise<String, Error>}
+   */
+
+  _getContentKey(instance, file, index) {
+      const crop = this._getCrop(instance, index);
+
+      return getChecksum(file.path)
+      .then(checksum => {
+        const hash = !crop ? checksum : crypto
+          .createHash('sha256')
+          .update(`${checksum}:${JSON.stringify(crop)}`)
+          .digest('hex');
+
+        return this._publicPath(this._MODEL_PATH) +
+          `/${hash.substr(0, 2)}/${hash}.${extension(file.mimetype)}`;
+      });
+  }
+
+
+  /** Processes file, if it's an image, and writes it to storage
+   * @param {Object} instance - sequelize instance
+   * @param {Object} file
+   * @param {String} file.path
+   * @param {String} file.mimetype
+   * @param {Number} [index] - file's index in multiple mode
+   * @return {Promise<{ path: String, meta: Object, pending: Boolean }, Error>}
+   */
+
+  _processAndWrite(instance, file, index) {
+      const isImage = /image/.test(file.mimetype);
+
+      let promise = Promise.resolve();
+
+      if (this._rendersSizes(file)) {
+        promise = this._processImage(file, this._getCrop(instance, index));
+      }
+
+      const pending = this._BACKGROUND && !!this._SIZES && isImage;
+
+      /* Metadata is read before writing, since storage may move the file */
+      return promise
+      .then(() => this._METADATA_IS_ON ? readMetadata(file) : undefined)
+      .then(meta => {
+        return this._writeToStorage(file, isImage)
+          .then(() => ({ path: this._publicPath(file.path), meta, pending }));
+      });
+  }
+
+
+  /** Sets values of instance's path and meta attributes
+   * @param {Object} instance - sequelize instance
+   * @param {Object} values - { [attribute]: value }
+   * @param {Boolean} afterCreate - if true, instance will be updated
+   * @param {Object} options - sequelize hook options
+   * @return {Promise<Object, Error>|Object} instance
+   */
+
+  _saveValues(instance, values, afterCreate, options) {
+      if (afterCreate) {
+        return instance.update(values, options);
+      }
+
+      Object.keys(values).forEach(attribute => {
+        instance.setDataValue(attribute, values[attribute]);
+      });
+      return instance;
+  }
+
+
+  /** Writes processed original and its sizes from local disk to storage
+   * @param {Object} file
+   * @param {String} file.path - local path of original
+   * @param {String} file.mimetype
+   * @param {Boolean} isImage - if true, sizes will be written too
+   * @return {Promise<Array<String>, Error>} promise which resolves with keys
+   */
+
+  _writeToStorage(file, isImage) {
+    const sources = [{ path: file.path, mimetype: file.mimetype }];
+
+    if (isImage && this._rendersSizes(file)) {
+      this._forEachSize(this._SIZES, (size, name) => sources.push({
+        path: this._sizePath(file.path, name),
+        mimetype: this._sizeMimetype(name, file.mimetype)
+      }));
+    }
+
+    return Promise.all(
+      sources.map(({ path, mimetype }) => this._write(
+        path,
+        this._publicPath(path),
+        mimetype
+      ))
+    );
+  }
+
+  /** Writes to storage. Storage gets private option for private files, ex.
+   * S3Storage writes them with private ACL
+   * @param {String|stream.Readable} source - local path or readable stream
+   * @param {String} key
+   * @param {String} [mimetype]
+   * @return {Promise<String, Error>}
+   */
+
+  _write(source, key, mimetype) {
+    return this._STORAGE.write(source, key, {
+      mimetype,
+      private: this._PRIVATE
+    });
+  }
+
+
+  /** Iterates through sizes and resizes with Promise.all
+   * @param {Function} source - returns new image of processor, ex. cropped
+   * @param {{ width: Number, height: Number }} dimensions - source's
+   *                  dimensions
+   * @param {String} path
+   * @param {Object} [sizes=options.sizes]
+   * @return {Promise<Array<String>, Error>} promise which resolves with
+   *                  paths of sizes
+   */
+
+  _resizeAll(source, dimensions, path, sizes = this._SIZES) {
+     const processor = this._IMAGE_PROCESSOR;
+     let promises = [];
+      this._forEachSize(sizes, (size, name, options) => {
+       const { quality = DEFAULT_QUALITY } = options;
+       const image = processor.resize(
+         source(),
+         resizeSpec(size, options, dimensions)
+       );
+       promises.push(
+         processor.encode(image, this._sizePath(path, name), {
+           quality,
+           stripMetadata: this._STRIP_METADATA
+         })
+       );
+     });
+     return Promise.all(promises);
+   };
+
+
+   /**
+    * Iterates over sizes object
+    * @param {Object} sizes
+    * @param {function(size: String, name: String, options: Object)} cb -
+    *                 size is geometry string, or undefined for object-form
+    *                 sizes with width and height
+    */
+
+   _forEachSize(sizes, cb) {
+     for (let key in sizes) {
+       let options = sizes[key];
+       let size = typeof options === 'object' ? options.size : options;
+       if (typeof options === 'string') options = {}
+       // size = Number(size);
+       cb(size, key, options);
+     };
+   };
+
+
+   /** Get path relative to public folder
+    * @param {String} path - path in package folder, ex. public/uplods
+    * @return {String} publicPath - path in public folder, ex. /uploads
+    */
+
+   _publicPath(path) {
+     return path.replace(
+       new RegExp('^' +
+         escapeStringRegexp(this._PUBLIC_PATH)
+       ), '');
+   }
+
+   /** Get path relative to package folder
+    * @param {String} path - path in public folder with leading root,
+    *                        ex. /uploads
+    * @return {String} publicPath - path in package folder, ex. public/uplods
+    */
+
+   _fromPublic(path) {
+     return `${this._PUBLIC_PATH}${path}`;
+   }
+
+   /** Sets neccesary attributes on Model
+    * @param {Sequelize.Model} Model
+    */
+
+   _addAttrsTo(Model) {
+     addAttributes(Model, this._getAttrs());
+   }
+
+   /** Sets neccesary hooks on Model
+    * @param {Sequelize.Model} Model
+    */
+
+   _addHooksTo = (Model) => {
+     const {
+       _VIRTUAL_ATTRIBUTE_NAME,
+       _PATH_ATTRIBUTE_NAME,
+       _CROP_IS_ON,
+       _CROP_ATTRIBUTE_NAME,
+       _METADATA_IS_ON,
+       _META_ATTRIBUTE_NAME,
+       _BACKGROUND,
+       _STATUS_ATTRIBUTE_NAME,
+       _ERROR_ATTRIBUTE_NAME,
+
+       _PUBLIC_PATH,
+      } = this;
+
+     let MODEL_FOLDER = `${pluralize(Model.name.toLowerCase())}`;
+
+     if (this._GROUP_BY_ATTRIBUTE) {
+       MODEL_FOLDER += `/${pluralize(_VIRTUAL_ATTRIBUTE_NAME.toLowerCase())}`;
+     }
+
+     this._MODEL_PATH = `${this._BASE_PATH}/${MODEL_FOLDER}`;
+
+     const attributes = getAttributes(Model);
+
+     if (!attributes[_VIRTUAL_ATTRIBUTE_NAME]) {
+       throw new Error(
+         `Can\'t find ${_VIRTUAL_ATTRIBUTE_NAME} in ${Model.name}'s attributes`
+       );
+     }
+
+     if (!attributes[_PATH_ATTRIBUTE_NAME]) {
+       throw new Error(
+         `Can\'t find ${_PATH_ATTRIBUTE_NAME} in ${Model.name}'s attributes`
+       );
+     }
+
+     if (_CROP_IS_ON && !attributes[_CROP_ATTRIBUTE_NAME]) {
+       throw new Error(
+         `Can\'t find ${_CROP_ATTRIBUTE_NAME} in ${Model.name}'s attributes`
+       );
+     }
+
+     if (_METADATA_IS_ON && !attributes[_META_ATTRIBUTE_NAME]) {
+       throw new Error(
+         `Can\'t find ${_META_ATTRIBUTE_NAME} in ${Model.name}'s attributes`
+       );
+     }
+
+     if (
+          this._FILENAME
+       && !attributes[this._ORIGINAL_NAME_ATTRIBUTE_NAME]
+     ) {
+       throw new Error(
+         `Can\'t find ${this._ORIGINAL_NAME_ATTRIBUTE_NAME} in ` +
+         `${Model.name}'s attributes`
+       );
+     }
+
+     if (
+          this._KEEP_VERSIONS
+       && !attributes[this._VERSIONS_ATTRIBUTE_NAME]
+     ) {
+       throw new Error(
+         `Can\'t find ${this._VERSIONS_ATTRIBUTE_NAME} in ` +
+         `${Model.name}'s attributes`
+       );
+     }
+
+     [_STATUS_ATTRIBUTE_NAME, _ERROR_ATTRIBUTE_NAME].forEach(attribute => {
+       if (_BACKGROUND && !attributes[attribute]) {
+         throw new Error(
+           `Can\'t find ${attribute} in ${Model.name}'s attributes`
+         );
+       }
+     });
+
+     Model.addHook('afterCreate', this._afterCreateHook);
+     Model.addHook('beforeUpdate', this._beforeUpdateHook);
+     Model.addHook('beforeDestroy', this._destroyFileHook);
+     Model.addHook('beforeBulkCreate', this._beforeBulkCreateHook);
+     Model.addHook('afterBulkCreate', this._afterBulkCreateHook);
+     Model.addHook('beforeBulkUpdate', this._beforeBulkUpdateHook);
+     Model.addHook('afterBulkUpdate', this._afterBulkUpdateHook);
+     Model.addHook('beforeBulkDestroy', this._beforeBulkDestroyHook);
+     Model.addHook('afterBulkDestroy', this._afterBulkDestroyHook);
+     Model.addHook('afterRestore', this._restoreFileHook);
+     Model.addHook('beforeBulkRestore', this._beforeBulkRestoreHook);
+     Model.addHook('afterBulkRestore', this._afterBulkRestoreHook);
+
+     if (_BACKGROUND) Model.addHook('afterUpdate', this._afterUpdateHook);
+   };
+
+  /** Adds instance methods to Model, which work with any attribute added
+   * to Model: attachmentUrl(attribute, options) returns url of file, ex.
+   * invoice.attachmentUrl('document', { size: 'preview', expiresIn: 60000 }),
+   * attachmentVersions(attribute) and revertAttachment(attribute, id,
+   * options) list and restore versions with options.keepVersions
+   * @param {Sequelize.Model} Model
+   */
+
+  _addMethodsTo(Model) {
+    const prototype = instancePrototype(Model);
+    if (prototype.attachmentUrl) return;
+
+    const findDefinition = attribute => {
+      const definition = DEFINITIONS.filter(definition => {
+        return definition._MODEL === Model
+          && definition._VIRTUAL_ATTRIBUTE_NAME === attribute;
+      })[0];
+
+      if (!definition) {
+        throw new Error(`Can't find attachment ${attribute} of ${Model.name}`);
       }
+
+      return definition;
     };
-    if (this._CROP_IS_ON) {
-      obj[this._CROP_ATTRIBUTE_NAME] = {
-        type: VIRTUAL
+
+    prototype.attachmentUrl = function (attribute, options) {
+      return findDefinition(attribute)._getUrl(this, options);
+    };
+
+    prototype.attachmentVersions = function (attribute) {
+      return findDefinition(attribute)._listVersions(this);
+    };
+
+    prototype.revertAttachment = function (attribute, id, options) {
+      return findDefinition(attribute)._revert(this, id, options);
+    };
+  }
+
+  /** Returns instance's versions with urls of their originals, see
+   * attachmentVersions
+   * @param {Sequelize.Instance} instance
+   * @return {Array<Object>} [{ id, replacedAt, path, url, meta,
+   *                  originalName }], newest first. In multiple mode path,
+   *                  url, meta and originalName are arrays
+   */
+
+  _listVersions(instance) {
+    if (!this._KEEP_VERSIONS) {
+      throw new Error(
+        `Can't list versions of ${this._VIRTUAL_ATTRIBUTE_NAME} ` +
+        'without keepVersions'
+      );
+    }
+
+    return this._getVersions(instance).map(version => {
+      const paths = this._parsePaths(version.path);
+      const urls = paths.map((path, index) => this._url(path, {
+        instance,
+        meta: this._MULTIPLE ? (version.meta || [])[index] : version.meta
+      }));
+
+      return {
+        id: version.id,
+        replacedAt: new Date(version.replacedAt),
+        path: this._MULTIPLE ? paths : paths[0],
+        url: this._MULTIPLE ? urls : urls[0],
+        meta: version.meta,
+        originalName: version.originalName
       };
+    });
+  }
+
+  /** Restores instance's files from version and saves instance. Current
+   * files become a version themselves, so revert can be undone
+   * @param {Sequelize.Instance} instance
+   * @param {String} id - version's id
+   * @param {Object} [options] - Sequelize save options
+   * @return {Promise<Sequelize.Instance, Error>}
+   */
+
+  _revert(instance, id, options) {
+    const versions = this._getVersions(instance);
+    const version = versions.filter(version => version.id === id)[0];
+
+    if (!version) {
+      return Promise.reject(new Error(
+        `Can't find version ${id} of ${this._VIRTUAL_ATTRIBUTE_NAME}`
+      ));
+    }
+
+    const paths = this._parsePaths(version.path);
+    const names = version.originalName || (this._MULTIPLE ? [] : null);
+
+    return instance.update({
+      [this._PATH_ATTRIBUTE_NAME]: version.path,
+      ...this._versionValues(
+        instance,
+        paths,
+        options,
+        versions.filter(other => other !== version)
+      ),
+      ...this._metaValues(version.meta),
+      ...this._originalNameValues(names),
+      ...this._statusValues(instance, false, !paths.length)
+    }, options);
+  }
+
+  /* --- PUBLIC API ------------------------------------------------------- */
+
+  /** Sets neccesary attributes and hooks on Model
+   * @param {Sequelize.Model} Model
+   */
+
+  addTo = (Model) => {
+    this._addAttrsTo(Model);
+    this._addHooksTo(Model);
+    this._addMethodsTo(Model);
+
+    this._MODEL = Model;
+
+    /* Model defined again with the same name replaces the old one with
+     * all of its definitions */
+    for (let i = DEFINITIONS.length - 1; i >= 0; i--) {
+      const definition = DEFINITIONS[i];
+      if (
+           definition !== this
+        && definition._MODEL.name === Model.name
+        && (
+             definition._MODEL !== Model
+          || definition._VIRTUAL_ATTRIBUTE_NAME === this._VIRTUAL_ATTRIBUTE_NAME
+        )
+      ) {
+        DEFINITIONS.splice(i, 1);
+      }
+    }
+
+    if (DEFINITIONS.indexOf(this) === -1) DEFINITIONS.push(this);
+
+    if (this._QUEUE && QUEUES.indexOf(this._QUEUE) === -1) {
+      QUEUES.push(this._QUEUE);
+      this._QUEUE.process(job => SequelizeField.processJob(job));
+    }
+  }
+
+  /** Returns Express/Connect middleware, which streams sizes under Model's
+   * storage prefix, rendering missing ones from originals first. Mount it at
+   * public uploads prefix, ex. app.use('/uploads', definition.sizesMiddleware()),
+   * after static middleware. Missing files, which aren't sizes of stored
+   * originals, and sizes, whose names aren't in options.sizes, get 404.
+   * Crop isn't stored, so it can't be mounted for definitions with crop
+   * @return {function(req, res, next)}
+   */
+
+  sizesMiddleware = () => {
+    if (!this._SIZES) {
+      throw new Error('Can\'t render sizes on demand without sizes');
+    }
+
+    if (this._CROP_IS_ON) {
+      throw new Error('Can\'t render cropped sizes on demand');
+    }
+
+    if (this._PRIVATE) {
+      throw new Error('Private files are served by serve() middleware');
+    }
+
+    return (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+      let key;
+      try {
+        key = normalizeKey(decodeURIComponent(
+          parseUrl(req.originalUrl || req.url).pathname
+        ));
+      } catch (e) {
+        return next();
+      }
+
+      if (
+           !this._MODEL
+        || !key
+        || !isSubpath(key, this._getStoragePrefix())
+      ) {
+        return next();
+      }
+
+      this._sendFile(key, req, res, next);
     };
-    return obj;
   }
 
+  /** Returns Express/Connect middleware, which serves private files by
+   * signed urls (see options.private), rendering missing sizes like
+   * sizesMiddleware (with crop, error is passed to next() instead). Mount
+   * it at options.privateUrl, ex.
+   * app.use('/private', definition.serve()). Requests with missing, tampered
+   * or expired signatures get 403
+   * @return {function(req, res, next)}
+   */
 
-  /** Moves file to instance's directory
-   * @param {Object} file
-   * @param {String} file.path
-   * @param {String} basepath
-   * @return {Promise<File, error>}
+  serve = () => {
+    if (!this._PRIVATE) {
+      throw new Error('Can\'t serve files, which aren\'t private');
+    }
+
+    return (req, res, next) => {
+      if (req.method !== 'GET' && req.method !== 'HEAD') return next();
+
+      const verified = verifyUrl(
+        req.originalUrl || req.url,
+        this._PRIVATE_URL,
+        { secret: this._SECRET }
+      );
+
+      const key = verified && normalizeKey(verified.key);
+
+      if (
+           !this._MODEL
+        || !key
+        || !isSubpath(key, this._getStoragePrefix())
+      ) {
+        return next();
+      }
+
+      if (verified.error) {
+        res.statusCode = 403;
+        return res.end('Forbidden');
+      }
+
+      res.setHeader('Cache-Control', `private, max-age=${
+        Math.max(verified.expires - Math.ceil(Date.now() / 1000), 0)
+      }`);
+
+      this._sendFile(key, req, res, next);
+    };
+  }
+
+  /** Streams file of storage key to response. Missing sizes of stored
+   * originals are rendered first, other missing files get 404
+   * @param {String} key
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Function} next
+   */
+
+  _sendFile(key, req, res, next) {
+    const notFound = () => {
+      res.statusCode = 404;
+      res.end('Not Found');
+    };
+
+    const send = () => {
+      res.setHeader('Content-Type', lookupMimetype(key));
+      if (req.method === 'HEAD') return res.end();
+      this._STORAGE.createReadStream(key)
+        .on('error', next)
+        .pipe(res);
+    };
+
+    this._STORAGE.exists(key)
+    .then(exists => {
+      if (exists) return send();
+      if (!this._SIZES) return notFound();
+
+      return this._findOriginal(key)
+      .then(found => {
+        if (!found) return notFound();
+        return this._renderSize(found.original, found.name)
+          .then(() => this._STORAGE.exists(key))
+          .then(exists => exists ? send() : notFound());
+      });
+    })
+    .catch(next);
+  }
+
+  /** Returns Express/Connect middleware, which parses multipart uploads of
+   * this attribute (and crop attribute) to req.body, so that it can be
+   * assigned to instance. File's MIME type and size are checked while it's
+   * received. Rejected file is removed and ValidationError is passed to
+   * next(). See SequelizeFile.uploadFor for all attributes of a Model
+   * @param {Object} [options]
+   * @param {String} [options.dest=os.tmpdir()] - directory for temporary files
+   * @param {Object} [options.limits] - busboy's limits, ex. { files: 10 }
+   * @return {function(req, res, next)}
+   */
+
+  middleware = options => {
+    return uploadMiddleware(this._getUploadRules(), options);
+  }
+
+  /** Returns rules for upload middleware, see upload.uploadMiddleware
+   * @return {Object} { [virtualAttribute]: rules }
+   */
+
+  _getUploadRules() {
+    return {
+      [this._VIRTUAL_ATTRIBUTE_NAME]: {
+        multiple: this._MULTIPLE,
+        crop: this._CROP_IS_ON ? this._CROP_ATTRIBUTE_NAME : undefined,
+        checkType: ({ mimetype, mismatch }) => {
+          if (mismatch && this._REJECT_MISMATCH) return this._MISMATCH_MESSAGE;
+          if (!new RegExp(this._MIMETYPE).test(mimetype)) {
+            return this._WRONG_TYPE_MESSAGE;
+          }
+        },
+        checkSize: (size, complete) => this._sizeError(size, complete),
+        error: message => this._validationError(message)
+      }
+    };
+  }
+
+  /** Finds files under Model's storage prefix, which no row refers to,
+   * and deletes them. Files of other definitions sharing the same prefix
+   * (ex. with groupByAttribute: false) are taken into account.
+   * Storage should implement list(prefix) method.
+   * @param {Object}  [options]
+   * @param {Boolean} [options.dryRun=false] - if true, only report orphans
+   * @param {Number}  [options.olderThan=3600000] - minimal age of orphan
+   *                  in milliseconds, so that files of rows being saved
+   *                  right now aren't collected
+   * @return {Promise<{ orphans: Array<String>, deleted: Array<String> }>}
+   */
+
+  collectGarbage = (options = {}) => {
+    const { dryRun, olderThan } = options;
+
+    validateType({ dryRun },    'Boolean | Undefined');
+    validateType({ olderThan }, 'Number | Undefined');
+
+    if (!this._MODEL) {
+      throw new Error('Can\'t collect garbage before definition is added to Model');
+    }
+
+    if (typeof this._STORAGE.list !== 'function') {
+      throw new TypeError('Expected storage to implement list() method');
+    }
+
+    const prefix = this._getStoragePrefix();
+    const threshold = Date.now() -
+      (typeof olderThan === 'number' ? olderThan : DEFAULT_GARBAGE_AGE);
+
+    /* List files before fetching references, so that a file can't be
+     * listed after its row was fetched */
+    return this._STORAGE.list(`${prefix}/`)
+    .then(files => {
+      return this._getReferencedKeySet()
+      .then(referenced => {
+        return files
+          .filter(file => !referenced[file.key])
+          .filter(file => new Date(file.modified).getTime() <= threshold)
+          .map(file => file.key);
+      });
+    })
+    .then(orphans => {
+      if (dryRun) return { orphans, deleted: [] };
+
+      return Promise.all(orphans.map(key => this._STORAGE.delete(key)))
+        .then(() => ({ orphans, deleted: orphans }));
+    });
+  }
+
+  /** Force destroys rows of paranoid Model, which were soft deleted longer
+   * than retention ago, so that their files are deleted by cleanup. Rows
+   * are destroyed one by one in batches, ordered by primary key, so hooks
+   * of every attribute of Model run
+   * @param {Object}  [options]
+   * @param {Boolean} [options.dryRun=false] - if true, only report rows
+   * @param {Number}  [options.olderThan] - minimal time since soft delete
+   *                  in milliseconds, defaults to options.retention
+   * @return {Promise<{ expired: Array, purged: Array }, Error>} primary
+   *                  keys of expired rows and of destroyed ones
+   */
+
+  purge = (options = {}) => {
+    const { dryRun, olderThan } = options;
+
+    validateType({ dryRun },    'Boolean | Undefined');
+    validateType({ olderThan }, 'Number | Undefined');
+
+    const Model = this._MODEL;
+
+    if (!Model) {
+      throw new Error('Can\'t purge rows before definition is added to Model');
+    }
+
+    const deletedAt = getDeletedAtAttribute(Model);
+
+    if (!deletedAt) {
+      throw new Error(`Can't purge rows of ${Model.name}, which isn't paranoid`);
+    }
+
+    const primaryKey = Model.primaryKeyAttribute;
+    const threshold = new Date(Date.now() -
+      (typeof olderThan === 'number' ? olderThan : this._RETENTION));
+    const expiredWhere = { [deletedAt]: { [Op.lt]: threshold } };
+    const report = { expired: [], purged: [] };
+
+    const next = lastId => Model.findAll({
+      where: typeof lastId === 'undefined' ? expiredWhere : {
+        [Op.and]: [expiredWhere, { [primaryKey]: { [Op.gt]: lastId } }]
+      },
+      order: [[primaryKey, 'ASC']],
+      limit: REPROCESS_BATCH_SIZE,
+      paranoid: false
+    })
+    .then(rows => {
+      if (!rows.length) return;
+
+      return mapLimit(rows, this._BULK_CONCURRENCY, row => {
+        const id = row.get(primaryKey);
+        report.expired.push(id);
+        if (dryRun) return;
+        return row.destroy({ force: true }).then(() => report.purged.push(id));
+      })
+      .then(() => {
+        if (rows.length === REPROCESS_BATCH_SIZE) {
+          return next(rows[rows.length - 1].get(primaryKey));
+        }
+      });
+    });
+
+    return next().then(() => report);
+  }
+
+  /** Re-renders sizes from stored originals, ex. after options.sizes were
+   * changed, and removes sizes, whose names aren't in options.sizes anymore
+   * or whose format was changed (if storage implements list method). Rows are processed in batches,
+   * ordered by primary key, so that processing can be resumed with
+   * options.after. Crop isn't stored, so definitions with options.crop
+   * can't be reprocessed.
+   * @param {Sequelize.Model} Model
+   * @param {Object}  [options]
+   * @param {Object}  [options.where] - sequelize where clause
+   * @param {Array<String>} [options.sizes] - names of sizes to render,
+   *                  defaults to all
+   * @param {Number}  [options.concurrency=2] - rows processed at once
+   * @param {*}       [options.after] - primary key, after which to start
+   * @param {Function} [options.onProgress] - called after every batch with
+   *                  { total, processed, failed, lastId }
+   * @return {Promise<{ total, processed, failed, lastId }, Error>} failed is
+   *                  an array of { id, error }
    */
 
-  _moveFromTemporary(file, instance) {
-    const { path } = file;
-    return new Promise((resolve, reject) => {
+  reprocess = (Model, options = {}) => {
+    const { where, sizes, concurrency, after, onProgress } = options;
+
+    validateType({ Model },       'Function | Object');
+    validateType({ where },       'Object | Undefined');
+    validateType({ sizes },       '[String] | Undefined');
+    validateType({ concurrency }, 'Number | Undefined');
+    validateType({ onProgress },  'Function | Undefined');
+
+    if (!this._SIZES) {
+      throw new Error('Can\'t reprocess attachments without sizes');
+    }
+
+    /* Sizes would be rendered from whole originals */
+    if (this._CROP_IS_ON) {
+      throw new Error('Can\'t reprocess cropped attachments');
+    }
+
+    const sizesToRender = {};
+    (sizes || Object.keys(this._SIZES)).forEach(name => {
+      if (!this._SIZES.hasOwnProperty(name)) {
+        throw new Error(`Can't find size ${name} in options.sizes`);
+      }
+      sizesToRender[name] = this._SIZES[name];
+    });
 
-      const instancePath = this._getInstancePath.bind(this)(instance);
-      // const newPath = instancePath +
-      //  `/${nameFromUrl(path)}` ;
+    const primaryKey = Model.primaryKeyAttribute;
+    const notNull = { [this._PATH_ATTRIBUTE_NAME]: { [Op.ne]: null } };
+    const base = where ? { [Op.and]: [where, notNull] } : notNull;
+    const listings = {};
 
-      const newPath = this._getFileNameForMoving.bind(this)(instance, path);
+    const state = {
+      total: 0,
+      processed: 0,
+      failed: [],
+      lastId: after
+    };
 
-      return createDir(instancePath)
-        .then(instancePath => {
-          mv(path, newPath, err => {
-            if (err) return reject(err);
+    const getWhere = () => {
+      if (typeof state.lastId === 'undefined') return base;
+      return { [Op.and]: [base, { [primaryKey]: { [Op.gt]: state.lastId } }] };
+    };
 
-            resolve({
-              ...file,
-              path: newPath
-            });
-          });
-        })
-        .catch(err => {
-          reject(err)
-        });
+    const next = referenced => Model.findAll({
+      where: getWhere(),
+      order: [[primaryKey, 'ASC']],
+      limit: REPROCESS_BATCH_SIZE
+    })
+    .then(rows => {
+      if (!rows.length) return;
+
+      return mapLimit(rows, concurrency || DEFAULT_CONCURRENCY, row => {
+        return this._reprocessInstance(row, sizesToRender, referenced, listings)
+          .catch(error => state.failed.push({ id: row.get(primaryKey), error }))
+          .then(() => state.processed++);
+      })
+      .then(() => {
+        state.lastId = rows[rows.length - 1].get(primaryKey);
+        if (onProgress) onProgress({ ...state });
+        if (rows.length === REPROCESS_BATCH_SIZE) return next(referenced);
+      });
     });
-  }
 
+    const canList = typeof this._STORAGE.list === 'function';
+
+    return Promise.all([
+      Model.count({ where: getWhere() }),
+      canList ? this._getReferencedKeySet() : null
+    ])
+    .then(([total, referenced]) => {
+      state.total = total;
+      return next(referenced);
+    })
+    .then(() => ({ ...state }));
+  }
 
-  /** Recizes image and crops it if constructor's options.crop is true;
-   * @param {Sequelize.Instance} instance
-   * @param {Object} file
-   * @param {String} file.path
-   * @return {Promise}
+  /** Returns upload middleware for every attribute added to Model,
+   * see middleware
+   * @param {Sequelize.Model} Model
+   * @param {Object} [options] - see middleware
+   * @return {function(req, res, next)}
    */
 
-  _processImage(instance, file) {
-    return getSize(file.path)
-    .then(({ width, height }) => {
-      let gmi = gm(file.path);
-      if (this._CROP_IS_ON) {
-        let crop = instance.getDataValue(this._CROP_ATTRIBUTE_NAME);
-        if (crop) {
-
-          /** Crop's props are implied to be in percents
-           * - we need absolutes
-           */
-          crop = {
-            width:  width   *  (Number(crop.width) || 1),
-            height: height  *  (Number(crop.height) || 1),
-            x:      width   *  Number(crop.x),
-            y:      height  *  Number(crop.y),
-          };
-
-          gmi = gmi.crop(crop.width, crop.height, crop.x, crop.y);
-        }
-      }
-      return this._resizeAll(gmi, file.path)
+  static uploadFor(Model, options) {
+    const definitions = DEFINITIONS.filter(definition => {
+      return definition._MODEL === Model;
     });
-  };
 
+    if (!definitions.length) {
+      throw new Error(`Can't find attachments of ${Model.name}`);
+    }
 
-  /** Sets file path to instance's path attribute
-   * @param {Object} instance - sequelize instance
-   * @param {Object} file
-   * @param {String} file.path
-   * @param {String} file.mimetype
-   * @param {Boolean} afterCreate
-   * @param {Object} options - sequelize hook options
-   * @return {Promise<, Error> | undefined}
+    return uploadMiddleware(
+      Object.assign({}, ...definitions.map(definition => {
+        return definition._getUploadRules();
+      })),
+      options
+    );
+  }
+
+  /** Processes background job of any definition. Call it from your
+   * queue's worker, if its adapter doesn't call handler given to process()
+   * @param {Object} job - { model, attribute, id, files }
+   * @return {Promise}
    */
 
-  _attachFile(instance, file, afterCreate, options) {
-      if (!new RegExp(this._MIMETYPE).test(file.mimetype)) {
+  static processJob(job) {
+    const definition = DEFINITIONS.filter(definition => {
+      return definition._MODEL.name === job.model
+        && definition._VIRTUAL_ATTRIBUTE_NAME === job.attribute;
+    })[0];
+
+    if (!definition) {
+      return Promise.reject(new Error(
+        `Can't find definition of ${job.model}.${job.attribute}`
+      ));
+    }
 
-        /* Remove bad temporary */
+    return definition._processJob(job);
+  }
 
-        // fs.unlink(file.path, () => {});
+  /** Collects garbage for every definition added to a Model. Definitions
+   * sharing the same storage prefix are collected once. Definition, which
+   * fails, doesn't stop the others: its entry gets error instead
+   * @param {Object} [options] - see collectGarbage
+   * @return {Promise<Array<Object>, Error>} promise which resolves with
+   *                  [{ model, attribute, prefix, orphans, deleted, error }]
+   */
 
-        throw (
-          this._validationError(
-            this._WRONG_TYPE_MESSAGE || `Wrong file MIME type: ` +
-            `should be ${mimetype}, but got ${file.type}`
-          )
-        );
-      }
+  static collectGarbage(options) {
+    const report = [];
+    const visited = [];
 
-      if (this._CLEANUP_IS_ON) {
-        this._destroyFileHook(instance, options);
-      }
+    const byPrefixLength = (a, b) => {
+      return a._getStoragePrefix().length - b._getStoragePrefix().length;
+    };
 
-      const isImage = /image/.test(file.mimetype);
+    const definitions = DEFINITIONS.slice().sort(byPrefixLength);
 
-      let promise = new Promise(resolve => {
-        instance.setDataValue(
-          this._PATH_ATTRIBUTE_NAME,
-          this._publicPath(file.path)
-        );
-        resolve(instance);
+    return definitions.reduce((promise, definition) => {
+      const prefix = definition._getStoragePrefix();
+      const isVisited = visited.some(other => {
+        return other._STORAGE === definition._STORAGE
+          && isSubpath(prefix, other._getStoragePrefix());
       });
 
-      if (afterCreate) {
-        promise = instance.update({
-          [this._PATH_ATTRIBUTE_NAME]: this._publicPath(file.path) /* Storage.write().then(path => {}) */
-        }, options);
-      }
-
-      instance.setDataValue(
-        this._VIRTUAL_ATTRIBUTE_NAME,
-        { updated: true }
-      );
+      if (isVisited) return promise;
+      visited.push(definition);
 
+      const entry = {
+        model: definition._MODEL.name,
+        attribute: definition._VIRTUAL_ATTRIBUTE_NAME,
+        prefix,
+        orphans: [],
+        deleted: []
+      };
 
       return promise
-      .then(instance => {
-        if (this._SIZES && isImage) {
-          return this._processImage(instance, file);
-        }
-      });
-  };
-
+        .then(() => definition.collectGarbage(options))
+        .then(({ orphans, deleted }) => {
+          report.push({ ...entry, orphans, deleted });
+        }, error => report.push({ ...entry, error }));
+    }, Promise.resolve())
+    .then(() => report);
+  }
 
-  /** Iterates through sizes and resizes with Promise.all
-   * @param {Object} gm - gm instance, ex. gm('img.jpg')
-   * @param {Object} instance - sequelize instance
-   * @param {String} path
-   * @return {Promise<object, Error>} promise which resolves with size object
+  /** Purges expired rows of every paranoid Model, definitions are added to.
+   * Model with several definitions is purged once, after the longest of
+   * their retentions
+   * @param {Object} [options] - see purge
+   * @return {Promise<Array<Object>, Error>} promise which resolves with
+   *                  [{ model, expired, purged }]
    */
 
-  _resizeAll(gm, path) {
-     let promises = [];
-      this._forEachSize(this._SIZES, (size, name, options) => {
-       promises.push(
-         resize(gm, path, name, size, options.quality)
-       );
-     });
-     return Promise.all(promises);
-   };
+  static purge(options) {
+    const report = [];
+    const longest = [];
 
+    DEFINITIONS.forEach(definition => {
+      if (!getDeletedAtAttribute(definition._MODEL)) return;
 
-   /**
-    * Iterates over sizes object
-    * @param {Object} sizes
-    * @param {function(size: String, name: String, options: Object)} cb
-    */
+      const index = longest.findIndex(other => {
+        return other._MODEL === definition._MODEL;
+      });
 
-   _forEachSize(sizes, cb) {
-     for (let key in sizes) {
-       let options = sizes[key];
-       let size = typeof options === 'object' ? size.size : options;
-       if (typeof options === 'string') options = {}
-       // size = Number(size);
-       cb(size, key, options);
-     };
-   };
+      if (index === -1) return longest.push(definition);
+      if (definition._RETENTION > longest[index]._RETENTION) {
+        longest[index] = definition;
+      }
+    });
 
+    return longest.reduce((promise, definition) => {
+      return promise
+        .then(() => definition.purge(options))
+        .then(({ expired, purged }) => report.push({
+          model: definition._MODEL.name,
+          expired,
+          purged
+        }));
+    }, Promise.resolve())
+    .then(() => report);
+  }
 
-   /** Get path relative to public folder
-    * @param {String} path - path in package folder, ex. public/uplods
-    * @return {String} publicPath - path in public folder, ex. /uploads
-    */
 
-   _publicPath(path) {
-     return path.replace(
-       new RegExp('^' +
-         escapeStringRegexp(this._PUBLIC_PATH)
-       ), '');
-   }
+}
 
-   /** Get path relative to package folder
-    * @param {String} path - path in public folder with leading root,
-    *                        ex. /uploads
-    * @return {String} publicPath - path in package folder, ex. public/uplods
-    */
 
-   _fromPublic(path) {
-     return `${this._PUBLIC_PATH}${path}`;
-   }
+/**
+ * Image helpers
+ */
 
-   /** Sets neccesary attributes on Model
-    * @param {Sequelize.Model} Model
-    */
+/** Reads image's dimensions with ImageMagick
+ * @param {String} path
+ * @return {Promise<object, Error>} promise which resolves with size object
+ */
 
-   _addAttrsTo(Model) {
-     Utils.mergeDefaults(Model.rawAttributes, this._getAttrs());
-     Model.refreshAttributes();
-   }
+export function getSize(path) {
+  return IMAGE_MAGICK.probe(path);
+}
 
-   /** Sets neccesary hooks on Model
-    * @param {Sequelize.Model} Model
-    */
+/** Throws if size's definition is malformed
+ * @param {String} name
+ * @param {Number|String|Object} size
+ */
 
-   _addHooksTo = (Model) => {
-     const {
-       _VIRTUAL_ATTRIBUTE_NAME,
-       _PATH_ATTRIBUTE_NAME,
-       _CROP_IS_ON,
-       _CROP_ATTRIBUTE_NAME,
+function validateSize(name, size) {
+  validateType({ [`sizes.${name}`]: size }, SIZE_TYPE);
 
-       _PUBLIC_PATH,
-      } = this;
+  const geometry = typeOf(size) === 'Object' ? size.size : size;
 
-     let MODEL_FOLDER = `${pluralize(Model.name.toLowerCase())}`;
+  if (typeof geometry !== 'undefined' && !parseGeometry(geometry)) {
+    throw new Error(
+      `Unknown geometry ${geometry} of size ${name}, expected ` +
+      '[width][x[height]] with any of % ! ^ < > flags'
+    );
+  }
 
-     if (this._GROUP_BY_ATTRIBUTE) {
-       MODEL_FOLDER += `/${pluralize(_VIRTUAL_ATTRIBUTE_NAME.toLowerCase())}`;
-     }
+  if (typeOf(size) !== 'Object') return;
 
-     this._MODEL_PATH = `${this._BASE_PATH}/${MODEL_FOLDER}`;
+  const { width, height, fit, gravity, format } = size;
+  const hasGeometry = typeof size.size !== 'undefined';
 
+  if (hasGeometry && (width || height)) {
+    throw new Error(
+      `Expected size ${name} to have either size or width and height`
+    );
+  }
 
-     if (!Model.attributes[_VIRTUAL_ATTRIBUTE_NAME]) {
-       throw new Error(
-         `Can\'t find ${_VIRTUAL_ATTRIBUTE_NAME} in ${Model.name}'s attributes`
-       );
-     }
+  if (!hasGeometry && !width && !height) {
+    throw new Error(`Expected size ${name} to have width or height`);
+  }
 
-     if (!Model.attributes[_PATH_ATTRIBUTE_NAME]) {
-       throw new Error(
-         `Can\'t find ${_PATH_ATTRIBUTE_NAME} in ${Model.name}'s attributes`
-       );
-     }
+  [
+    ['fit', fit, FITS],
+    ['gravity', gravity, GRAVITIES],
+    ['format', format && format.toLowerCase(), Object.keys(FORMATS)]
+  ].forEach(([option, value, values]) => {
+    if (typeof value !== 'undefined' && values.indexOf(value) === -1) {
+      throw new Error(
+        `Unknown ${option} ${value} of size ${name}, expected one of ` +
+        values.join(', ')
+      );
+    }
+  });
+}
 
-     if (_CROP_IS_ON && !Model.attributes[_CROP_ATTRIBUTE_NAME]) {
-       throw new Error(
-         `Can\'t find ${_CROP_ATTRIBUTE_NAME} in ${Model.name}'s attributes`
-       );
-     }
+/**
+ * Utility functions
+ */
 
-     Model.afterCreate(this._afterCreateHook);
-     Model.beforeUpdate(this._beforeUpdateHook);
-     Model.beforeDestroy(this._destroyFileHook);
-   };
+/** Promise wrapper for image-size. Reads only image's header
+ * @param {String} path
+ * @return {Promise<{ width: Number, height: Number }, Error>}
+ */
 
-  /* --- PUBLIC API ------------------------------------------------------- */
+function getDimensions(path) {
+  return new Promise((resolve, reject) => {
+    imageSize(path, (err, dimensions) => {
+      if (err) return reject(err);
+      resolve(dimensions);
+    });
+  });
+}
 
-  /** Sets neccesary attributes and hooks on Model
-   * @param {Sequelize.Model} Model
-   */
+/** Promise wrapper for fs.stat
+ * @param {String} path
+ * @return {Promise<Number, Error>} promise which resolves with size in bytes
+ */
 
-  addTo = (Model) => {
-    this._addAttrsTo(Model);
-    this._addHooksTo(Model);
-  }
+function getFileSize(path) {
+  return new Promise((resolve, reject) => {
+    fs.stat(path, (err, stat) => {
+      if (err) return reject(err);
+      resolve(stat.size);
+    });
+  });
+}
 
+/** Writes Buffer or readable stream to a new file in os.tmpdir()
+ * @param {Buffer|stream.Readable} data
+ * @param {Number} [maxBytes] - see writeData
+ * @return {Promise<String, Error>} promise which resolves with path
+ */
 
+function writeTemporary(data, maxBytes) {
+  return writeData(
+    data,
+    `${os.tmpdir()}/sequelize-file-${randomString(10)}`,
+    maxBytes
+  );
 }
 
+/** Returns path of file named name in a new directory in os.tmpdir(), so
+ * name is kept, when file is moved to instance's directory
+ * @param {String} [name] - random, if not given
+ * @return {String}
+ */
 
-/**
- * gm Promise wrappers
+function temporaryPath(name) {
+  return `${os.tmpdir()}/sequelize-file-${randomString(10)}/` +
+    (name ? sanitizeFilename(name) : randomString(10));
+}
+
+/** Removes files at temporaryPath()s, which weren't moved, and their
+ * directories
+ * @param {Array<String>} paths
+ * @return {Promise}
+ */
+
+function removeTemporary(paths) {
+  return Promise.all(paths.map(path => {
+    return unlinkLocal(path).then(() => new Promise(resolve => {
+      fs.rmdir(path.replace(/\/[^\/]+$/, ''), () => resolve());
+    }));
+  }));
+}
+
+/** Returns array of count results of fn
+ * @param {Number} count
+ * @param {function(index): *} fn
+ * @return {Array}
  */
 
-/** Promise wrapper for gm.size
+function repeat(count, fn) {
+  const results = [];
+  for (let i = 0; i < count; i++) results.push(fn(i));
+  return results;
+}
+
+/** Writes Buffer or readable stream to path, creating its directory
+ * @param {Buffer|stream.Readable} data
  * @param {String} path
- * @return {Promise<object, Error>} promise which resolves with size object
+ * @param {Number} [maxBytes] - stream, which exceeds it, is aborted, file is
+ *                  removed and promise rejects with error, which has bytes
+ *                  read so far
+ * @return {Promise<String, Error>} promise which resolves with path
  */
 
- export function getSize(path) {
-   return new Promise((resolve, reject) => {
-    gm(path).size((err, size) => {
-      if (err) return reject(err);
-      resolve(size);
+function writeData(data, path, maxBytes) {
+  return createDir(path.replace(/\/[^\/]+$/, '') || '.')
+  .then(() => new Promise((resolve, reject) => {
+    if (Buffer.isBuffer(data)) {
+      return fs.writeFile(path, data, err => {
+        if (err) return reject(err);
+        resolve(path);
+      });
+    }
+
+    const output = fs.createWriteStream(path);
+    let bytes = 0;
+    let aborted = false;
+
+    data
+      .on('error', reject)
+      .pipe(output)
+      .on('error', err => {
+        if (!aborted) reject(err);
+      })
+      .on('close', () => {
+        if (!aborted) return resolve(path);
+
+        unlinkLocal(path).then(() => reject(Object.assign(
+          new Error(`Stream exceeded ${maxBytes} bytes`),
+          { bytes }
+        )));
+      });
+
+    data.on('data', chunk => {
+      bytes += chunk.length;
+      if (aborted || typeof maxBytes !== 'number' || bytes <= maxBytes) {
+        return;
+      }
+
+      aborted = true;
+      data.unpipe(output);
+      if (typeof data.destroy === 'function') data.destroy();
+      output.destroy();
     });
-  });
- }
+  }));
+}
 
+function localFileExists(path) {
+  return new Promise(resolve => {
+    fs.stat(path, err => resolve(!err));
+  });
+}
 
-/** Promise wrapper for gm.size.quality.write chain
- * @param {Object} gm - gm instance, ex. gm('img.jpg')
+/** Moves local file, creating destination's directory
+ * @param {String} source
  * @param {String} path
- * @param {String} name - will be placed with low dash before file's extension
- * @param {String|Number} size
- * @param {Number} quality
- * @return {Promise<object, Error>} promise which resolves with filename
+ * @return {Promise<String, Error>} promise which resolves with path
  */
 
-function resize(gm, path, name, size, quality=DEFAULT_QUALITY) {
+function moveLocal(source, path) {
   return new Promise((resolve, reject) => {
-    const filename = name ? pathWithSize(path, name) : path;
-    const { width, height, options } = parseSize(size);
-    gm
-      .resize(width, height, options)
-      .quality(quality)
-      .write(filename, err => {
-        if (err) return reject(err);
-        return resolve(filename);
-      });
+    mv(source, path, { mkdirp: true }, err => {
+      if (err) return reject(err);
+      resolve(path);
+    });
   });
 }
 
-/** Parses string of format "[width]x[height][options]" into object
- * @param {String}
- * @return {Object}
+function unlinkLocal(path) {
+  return new Promise(resolve => fs.unlink(path, () => resolve()));
+}
+
+/** Parses data URI, ex. "data:image/png;base64,iVBORw0KGgo..."
+ * @param {String} uri
+ * @return {{ mimetype: String, buffer: Buffer }|null} null, if uri is malformed
  */
 
-function parseSize(str) {
-  const result = String(str).match(/(\d+)?x?(\d+)?(.+)?/);
+function parseDataUri(uri) {
+  const match = uri.match(/^data:([^;,]*)((?:;[^;,]*)*),([\s\S]*)$/i);
+  if (!match) return null;
+
+  const params = match[2].split(';');
+  const isBase64 = params.indexOf('base64') !== -1;
+  let buffer;
+
+  try {
+    buffer = isBase64 ?
+      Buffer.from(match[3], 'base64') :
+      Buffer.from(decodeURIComponent(match[3]));
+  } catch (e) {
+    return null;
+  }
+
   return {
-    width: result[1],
-    height: result[2],
-    options: result[3]
+    mimetype: match[1] || undefined,
+    buffer
+  };
+}
+
+function isReadableStream(entity) {
+  return !!entity
+    && typeof entity.pipe === 'function'
+    && typeof entity.on   === 'function';
+}
+
+function randomString(length) {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  return Array.prototype.map.call(
+    crypto.randomBytes(length),
+    byte => alphabet[byte % alphabet.length]
+  ).join('');
+}
+
+/** Normalizes storage key, decoded from request's path, ex. removes
+ * duplicate slashes. Keys with ".." segments or null bytes are refused, so
+ * that they can't escape the prefix they are checked against
+ * @param {String} key
+ * @return {String|null} null, if key is refused
+ */
+
+function normalizeKey(key) {
+  if (key.indexOf('\0') !== -1 || key.split('/').indexOf('..') !== -1) {
+    return null;
   }
+  return posix.normalize(key);
 }
 
-/**
- * Utility functions
+/** Returns true if path is parent or the same as subpath
+ * @param {String} subpath, ex. /uploads/users/pictures
+ * @param {String} path, ex. /uploads/users
+ * @return {Boolean}
  */
 
-function typeOf(entity) {
-  return Object.prototype
-    .toString
-    .call(entity)
-    .match(/(\w+)\]/)[1]
+function isSubpath(subpath, path) {
+  return subpath === path || subpath.indexOf(`${path}/`) === 0;
 }
 
-function getType(entity) {
-  const type = typeOf(entity)
-  return type === 'Object' ? `[object Object] { ${
-    Object
-    .keys(entity)
-    .map(key => `${key}: ${typeOf(entity[key])}`)
-    .join(',\n')
-  } }` : type;
+/** Parses stored metadata JSON
+ * @param {String|Object|Null} value
+ * @return {Object|Array<Object>|Null}
+ */
+
+function parseMeta(value) {
+  if (!value) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
 }
 
-function validateType(obj, type) {
-  const name = Object.keys(obj)[0];
-  const entity = obj[name];
-  let valid = typeCheck(type, entity);
-  if (!valid) {
-    throw new TypeError(
-      `Expected ${name} to be of type ${type},` +
-      ` but got ${getType(entity)}`
-    );
+/** Removes baseUrl prefix, version and signature params from file's url
+ * @param {String} url
+ * @param {String} baseUrl - without trailing slashes
+ * @return {String}
+ */
+
+function stripUrl(url, baseUrl) {
+  if (baseUrl && url.indexOf(`${baseUrl}/`) === 0) {
+    url = url.substr(baseUrl.length);
   }
-  return valid;
+
+  const parsed = parseUrl(url, true);
+  ['v', 'expires', 'signature'].forEach(param => delete parsed.query[param]);
+  delete parsed.search;
+
+  return formatUrl(parsed);
 }
 
-function download(url, path) {
-  return new Promise((resolve, reject) => {
-    request.head(url, (err, res, body) => {
-      if (err) return reject(err);
+/** Reads file's metadata: size, mimetype, dimensions, checksum and
+ * original name
+ * @param {Object} file
+ * @param {String} file.path
+ * @param {String} file.mimetype
+ * @param {String} [file.originalname]
+ * @return {Promise<Object, Error>}
+ */
 
-      if (res.statusCode < 200 || res.statusCode >= 400 ) {
-        return reject(
-          `Can't download resource: "${url}" responded with ` +
-          `"${res.statusCode}: ${res.statusMessage}"`
-        );
-      }
+function readMetadata(file) {
+  const isImage = /image/.test(file.mimetype);
+
+  return Promise.all([
+    getFileSize(file.path),
+    getChecksum(file.path),
+    isImage ? getDimensions(file.path).catch(() => ({})) : {}
+  ])
+  .then(([size, checksum, { width, height }]) => ({
+    size,
+    mimetype: file.mimetype,
+    width,
+    height,
+    checksum,
+    originalName: file.originalname
+  }));
+}
 
-      const mimetype = res.headers['content-type'];
-      const basepath = path.match(/(.+)(\/.+)$/)[1];
+/** Returns sha256 hex digest of file's contents
+ * @param {String} path
+ * @return {Promise<String, Error>}
+ */
 
-      mkdirp(basepath, err => {
-        if (err) return reject(err);
-        request(url)
-          .pipe(fs.createWriteStream(path))
-          .on('close', () => resolve({ mimetype, path }));
-      });
-    });
+function getChecksum(path) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(path)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
   });
 }
 
+/** Parses JSON array of paths, stored in multiple mode. Plain string is
+ * treated as a single path, so single attributes can be turned into multiple
+ * @param {String|Array|Null} value
+ * @return {Array<String>}
+ */
+
+function parsePaths(value) {
+  if (!value) return [];
+  if (typeOf(value) === 'Array') return value;
+  try {
+    const paths = JSON.parse(value);
+    return typeOf(paths) === 'Array' ? paths : [value];
+  } catch (e) {
+    return [value];
+  }
+}
+
 function nameFromUrl(url) {
   return url.match(/\/([^\/]+)$/)[1];
 }
@@ -712,11 +4183,20 @@ function getFileInfo(file) {
   return [name, ext];
 }
 
-export function pathWithSize(path, size) {
+/** Returns path of size, ex. /a/pic_small.png for /a/pic.png
+ * @param {String} path
+ * @param {String} size - size's name
+ * @param {String} [ext] - extension to use instead of original's one
+ * @return {String}
+ */
+
+export function pathWithSize(path, size, ext) {
   if (typeof path !== 'string') {
     throw new TypeError(`Path must be a string, but got ${typeof path}`);
   }
-  return `${path.replace(/(.+)(\..+)$/, '$1_' + size + '$2')}`
+  return path.replace(/(.+)(\..+)$/, (match, base, original) => {
+    return `${base}_${size}${ext ? `.${ext}` : original}`;
+  });
 }
 
 function capitalize(string) {
@@ -0,0 +1,100 @@
+/** @module cli */
+
+/** @desc
+ * sequelize-file-gc command: deletes files, which no row refers to, for
+ * every SequelizeFile definition added to a model in given module
+ */
+
+import path from 'path';
+
+import SequelizeFile from './SequelizeFile';
+
+const USAGE = [
+  'Usage: sequelize-file-gc <models> [--dry-run] [--older-than <age>]',
+  '',
+  '  <models>             module, which defines your models and adds',
+  '                       SequelizeFile definitions to them',
+  '  --dry-run            only report orphaned files',
+  '  --older-than <age>   minimal age of orphaned file, ex. 90s, 30m, 24h, 7d',
+  '                       (default: 1h)'
+].join('\n');
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+/** Runs command
+ * @param {Array<String>} argv - arguments without node and script
+ * @param {Function} [log=console.log] - prints a line of output
+ * @return {Promise<Number, Error>} promise which resolves with exit code,
+ *                  1 if any definition failed. Bad arguments reject
+ */
+
+export function run(argv, log = console.log) {
+  return Promise.resolve()
+    .then(() => {
+      const args = parseArgs(argv);
+
+      if (args.help || !args.models) {
+        log(USAGE);
+        return args.help ? 0 : 1;
+      }
+
+      require(path.resolve(process.cwd(), args.models));
+
+      return SequelizeFile
+        .collectGarbage({ dryRun: args.dryRun, olderThan: args.olderThan })
+        .then(report => {
+          const action = args.dryRun ? 'found' : 'deleted';
+          report.forEach(entry => {
+            const name = `${entry.model}.${entry.attribute} (${entry.prefix})`;
+            if (entry.error) {
+              return log(`${name}: failed: ${entry.error.message}`);
+            }
+            log(`${name}: ${action} ${entry.orphans.length} orphaned file(s)`);
+            entry.orphans.forEach(key => log(`  ${key}`));
+          });
+          return report.some(entry => entry.error) ? 1 : 0;
+        });
+    });
+}
+
+/** Parses command's arguments
+ * @param {Array<String>} argv
+ * @return {Object} { models, dryRun, olderThan, help }
+ */
+
+function parseArgs(argv) {
+  const args = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--older-than') {
+      args.olderThan = parseAge(argv[++i]);
+    } else if (arg === '--help' || arg === '-h') {
+      args.help = true;
+    } else if (!args.models) {
+      args.models = arg;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return args;
+}
+
+/** Parses age, ex. 90s, 30m, 24h or 7d. Seconds by default
+ * @param {String} age
+ * @return {Number} milliseconds
+ */
+
+function parseAge(age) {
+  const match = String(age).match(/^(\d+(?:\.\d+)?)([smhd])?$/);
+  if (!match) throw new Error(`Invalid age: ${age}`);
+  return Number(match[1]) * UNITS[match[2] || 's'];
+}
@@ -0,0 +1,114 @@
+/** @module compat */
+
+/** @desc
+ * Differences between sequelize major versions. v3 models are objects with
+ * their own Instance class, v4+ models are classes, defined either with
+ * sequelize.define() or with Model.init(). v5+ dropped findById and string
+ * operators, v6 replaced Model.attributes with getAttributes().
+ */
+
+import Sequelize, { Utils, ValidationErrorItem } from 'sequelize';
+
+/* Major version of sequelize in use, v3 doesn't expose it */
+export const VERSION = Number(String(Sequelize.version || '3').split('.')[0]);
+
+/* Query operators: symbols since v4, strings before */
+export const Op = Sequelize.Op || {
+  and: '$and',
+  gt: '$gt',
+  like: '$like',
+  lt: '$lt',
+  ne: '$ne'
+};
+
+/** Returns Model's attributes
+ * @param {Sequelize.Model} Model
+ * @return {Object} { [name]: definition }
+ */
+
+export function getAttributes(Model) {
+  if (typeof Model.getAttributes === 'function') return Model.getAttributes();
+  return VERSION < 4 ? Model.attributes : Model.rawAttributes;
+}
+
+/** Adds attributes to defined Model. Definitions of attributes, which Model
+ * already has, are only completed with missing keys, ex. getter of virtual
+ * @param {Sequelize.Model} Model
+ * @param {Object} attributes - { [name]: definition }
+ */
+
+export function addAttributes(Model, attributes) {
+  if (!Model.rawAttributes) {
+    throw new Error(
+      `Can't add attributes to ${Model.name}, ` +
+      'which isn\'t initialized with Model.init() yet'
+    );
+  }
+
+  if (VERSION >= 4) {
+    attributes = Object.keys(attributes).reduce((normalized, name) => ({
+      ...normalized,
+      [name]: Model.sequelize.normalizeAttribute(attributes[name])
+    }), {});
+  }
+
+  Utils.mergeDefaults(Model.rawAttributes, attributes);
+  Model.refreshAttributes();
+}
+
+/** Returns prototype of Model's instances
+ * @param {Sequelize.Model} Model
+ * @return {Object}
+ */
+
+export function instancePrototype(Model) {
+  return (Model.Instance || Model).prototype;
+}
+
+/** Returns name of deletedAt attribute of paranoid Model
+ * @param {Sequelize.Model} Model
+ * @return {String|undefined} undefined if Model isn't paranoid
+ */
+
+export function getDeletedAtAttribute(Model) {
+  const timestamps = Model._timestampAttributes || {};
+  return Model.options && Model.options.paranoid ?
+    timestamps.deletedAt :
+    undefined;
+}
+
+/** Finds Model's row by primary key
+ * @param {Sequelize.Model} Model
+ * @param {*} id
+ * @param {Object} [options] - Sequelize find options
+ * @return {Promise<Sequelize.Instance|null>}
+ */
+
+export function findByPk(Model, id, options) {
+  return typeof Model.findByPk === 'function' ?
+    Model.findByPk(id, options) :
+    Model.findById(id, options);
+}
+
+/** Returns validation error item of attribute. v3 constructor takes
+ * (message, type, path, value), v4+ also take instance and validator,
+ * so trailing arguments are ignored by v3
+ * @param {String} message
+ * @param {String} path - attribute's name
+ * @param {*} [value]
+ * @param {Sequelize.Instance} [instance]
+ * @return {Sequelize.ValidationErrorItem}
+ */
+
+export function validationErrorItem(message, path, value = null, instance) {
+  return new ValidationErrorItem(
+    message,
+    'Validation error',
+    path,
+    value,
+    instance,
+    'file',
+    'file',
+    []
+  );
+}
@@ -0,0 +1,352 @@
+/** @module download */
+
+/** @desc
+ * Downloads of user-supplied urls. Since any url may be set to the
+ * attribute, protocols, hosts, addresses (after DNS resolution, for every
+ * redirect), time and size of downloads are restricted.
+ */
+
+import fs from 'fs';
+import dns from 'dns';
+import net from 'net';
+import { parse as parseUrl, resolve as resolveUrl } from 'url';
+
+import request from 'request';
+import mkdirp from 'mkdirp';
+
+import { validateType } from './utils';
+
+const DEFAULTS = {
+  protocols: ['http:', 'https:'],
+  allowHosts: undefined,
+  denyHosts: [],
+  allowPrivateAddresses: false,
+  maxRedirects: 5,
+  connectTimeout: 10 * 1000,
+  readTimeout: 30 * 1000,
+  maxBytes: undefined
+};
+
+/* [first address, prefix length] of IPv4 ranges, which aren't publicly
+ * routable: this network, private, shared, loopback, link-local (including
+ * cloud metadata services), IETF, benchmarking, multicast and reserved */
+const PRIVATE_IPV4 = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+/** Validates download options and fills in defaults
+ * @param {Object}  [options]
+ * @param {Array<String>} [options.protocols=['http:', 'https:']]
+ * @param {Array<String|RegExp>} [options.allowHosts] - if set, only these
+ *                  hosts can be downloaded from. '*.example.com' matches
+ *                  subdomains of example.com
+ * @param {Array<String|RegExp>} [options.denyHosts=[]]
+ * @param {Boolean} [options.allowPrivateAddresses=false] - if false, hosts
+ *                  resolving to loopback, private, link-local and other
+ *                  non-public addresses are rejected
+ * @param {Number}  [options.maxRedirects=5]
+ * @param {Number}  [options.connectTimeout=10000] - in milliseconds
+ * @param {Number}  [options.readTimeout=30000] - maximum time between
+ *                  received chunks, in milliseconds
+ * @param {Number}  [options.maxBytes] - download is aborted, once it gets
+ *                  larger
+ * @return {Object}
+ */
+
+export function downloadOptions(options = {}) {
+  const {
+    protocols,
+    allowHosts,
+    denyHosts,
+    allowPrivateAddresses,
+    maxRedirects,
+    connectTimeout,
+    readTimeout,
+    maxBytes
+  } = options;
+
+  validateType({ protocols },             '[String] | Undefined');
+  validateType({ allowHosts },            '[String | RegExp] | Undefined');
+  validateType({ denyHosts },             '[String | RegExp] | Undefined');
+  validateType({ allowPrivateAddresses }, 'Boolean | Undefined');
+  validateType({ maxRedirects },          'Number | Undefined');
+  validateType({ connectTimeout },        'Number | Undefined');
+  validateType({ readTimeout },           'Number | Undefined');
+  validateType({ maxBytes },              'Number | Undefined');
+
+  const result = { ...DEFAULTS };
+  Object.keys(DEFAULTS).forEach(key => {
+    if (typeof options[key] !== 'undefined') result[key] = options[key];
+  });
+
+  result.protocols = result.protocols.map(protocol => {
+    return protocol.toLowerCase().replace(/:?$/, ':');
+  });
+
+  return result;
+}
+
+/** Downloads url to path. Rejects with error message, if url isn't allowed
+ * by options, responds with error status or exceeds limits. Partially
+ * downloaded file is removed then
+ * @param {String} url
+ * @param {String} path
+ * @param {Object} [options] - see downloadOptions
+ * @return {Promise<{ mimetype: String, path: String }, Error|String>}
+ */
+
+export function download(url, path, options) {
+  options = downloadOptions(options);
+
+  return new Promise((resolve, reject) => {
+    const denied = checkUrl(url, options);
+    if (denied) return reject(denied);
+
+    let settled = false;
+    let redirectError;
+    let connectTimer;
+    let bytes = 0;
+    let req;
+
+    const fail = error => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(connectTimer);
+      if (req) req.abort();
+      fs.unlink(path, () => reject(error));
+    };
+
+    const lookup = (hostname, lookupOptions, callback) => {
+      dns.lookup(hostname, lookupOptions, (err, address, family) => {
+        if (err) return callback(err);
+
+        const addresses = Array.isArray(address) ?
+          address.map(entry => entry.address) : [address];
+
+        if (
+             !options.allowPrivateAddresses
+          && addresses.some(isPrivateAddress)
+        ) {
+          const error = `Can't download resource: "${hostname}" resolves ` +
+            `to a private address`;
+          fail(error);
+          return callback(new Error(error));
+        }
+
+        callback(null, address, family);
+      });
+    };
+
+    mkdirp(path.replace(/\/[^\/]+$/, '') || '.', err => {
+      if (err) return reject(err);
+
+      req = request({
+        url,
+        lookup,
+        pool: false,
+        timeout: options.readTimeout,
+        maxRedirects: options.maxRedirects,
+        followRedirect(res) {
+          const location = resolveUrl(this.uri.href, res.headers.location);
+          redirectError = checkUrl(location, options);
+          return !redirectError;
+        }
+      });
+
+      req
+        .on('request', clientRequest => {
+          clientRequest.on('socket', socket => {
+            clearTimeout(connectTimer);
+            if (!socket.connecting) return;
+            connectTimer = setTimeout(() => {
+              fail(`Can't download resource: "${url}" didn't connect in ` +
+                `${options.connectTimeout}ms`);
+            }, options.connectTimeout);
+            socket.once('connect', () => clearTimeout(connectTimer));
+          });
+        })
+        .on('response', res => {
+          clearTimeout(connectTimer);
+
+          if (redirectError) return fail(redirectError);
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            return fail(
+              `Can't download resource: "${url}" responded with ` +
+              `"${res.statusCode}: ${res.statusMessage}"`
+            );
+          }
+
+          const length = Number(res.headers['content-length']);
+          if (options.maxBytes !== undefined && length > options.maxBytes) {
+            return fail(tooLarge(options.maxBytes));
+          }
+
+          const mimetype = res.headers['content-type'];
+
+          req
+            .pipe(fs.createWriteStream(path))
+            .on('error', fail)
+            .on('close', () => {
+              if (settled) return;
+              settled = true;
+              resolve({ mimetype, path });
+            });
+        })
+        .on('data', chunk => {
+          bytes += chunk.length;
+          if (options.maxBytes !== undefined && bytes > options.maxBytes) {
+            fail(tooLarge(options.maxBytes));
+          }
+        })
+        .on('error', err => fail(describeError(url, err)));
+    });
+  });
+}
+
+/** Returns error message, if url's protocol or host isn't allowed
+ * @param {String} url
+ * @param {Object} options - see downloadOptions
+ * @return {String|undefined}
+ */
+
+export function checkUrl(url, options) {
+  const { protocol, hostname } = parseUrl(String(url));
+
+  if (!protocol || !hostname) {
+    return `Can't download resource: "${url}" isn't a valid url`;
+  }
+
+  if (options.protocols.indexOf(protocol.toLowerCase()) === -1) {
+    return `Can't download resource: protocol "${protocol}" isn't allowed`;
+  }
+
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (
+       matchesHost(host, options.denyHosts)
+    || (options.allowHosts && !matchesHost(host, options.allowHosts))
+  ) {
+    return `Can't download resource: host "${host}" isn't allowed`;
+  }
+
+  /* Addresses are resolved only for domain names */
+  if (
+       net.isIP(host)
+    && !options.allowPrivateAddresses
+    && isPrivateAddress(host)
+  ) {
+    return `Can't download resource: "${host}" is a private address`;
+  }
+}
+
+/** Returns true for IPv4 and IPv6 addresses, which aren't publicly
+ * routable. IPv4-mapped IPv6 addresses are checked as IPv4
+ * @param {String} address
+ * @return {Boolean}
+ */
+
+export function isPrivateAddress(address) {
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    const value = ipv4ToNumber(address);
+    return PRIVATE_IPV4.some(([first, bits]) => {
+      const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+      return ((value & mask) >>> 0) === ipv4ToNumber(first);
+    });
+  }
+
+  if (version === 6) {
+    const normalized = address.toLowerCase();
+    const mapped = normalized.match(/^(?:0*:)*(?:ffff:)?(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return isPrivateAddress(mapped[1]);
+
+    const groups = expandIpv6(normalized);
+    const first = groups[0];
+
+    return groups.every(group => group === 0)    /* :: */
+      || (groups.slice(0, 7).every(group => group === 0)
+          && groups[7] === 1)                     /* ::1 */
+      || (first & 0xfe00) === 0xfc00              /* unique local */
+      || (first & 0xffc0) === 0xfe80              /* link-local */
+      || (first & 0xff00) === 0xff00              /* multicast */
+      || (groups.slice(0, 5).every(group => group === 0)
+          && groups[5] === 0xffff);               /* IPv4-mapped, hex form */
+  }
+
+  return false;
+}
+
+function ipv4ToNumber(address) {
+  return address
+    .split('.')
+    .reduce((value, octet) => value * 256 + Number(octet), 0);
+}
+
+/** Expands IPv6 address into array of 8 numbers
+ * @param {String} address, ex. fe80::1
+ * @return {Array<Number>}
+ */
+
+function expandIpv6(address) {
+  const [head, tail] = address.split('::');
+  const parse = part => {
+    return part ? part.split(':').map(group => parseInt(group, 16)) : [];
+  };
+  const start = parse(head);
+  const end = parse(tail);
+  const zeros = typeof tail === 'undefined' ?
+    [] : new Array(8 - start.length - end.length).fill(0);
+  return start.concat(zeros, end);
+}
+
+/** Returns true if host matches any of patterns
+ * @param {String} host
+ * @param {Array<String|RegExp>} patterns - hosts, '*.example.com' or RegExps
+ * @return {Boolean}
+ */
+
+function matchesHost(host, patterns) {
+  return patterns.some(pattern => {
+    if (pattern instanceof RegExp) return pattern.test(host);
+    pattern = pattern.toLowerCase();
+    if (pattern.indexOf('*.') === 0) {
+      return host.substr(-(pattern.length - 1)) === pattern.substr(1);
+    }
+    return host === pattern;
+  });
+}
+
+function tooLarge(maxBytes) {
+  return `File is too large: maximum size is ${maxBytes} bytes`;
+}
+
+/** Returns error message for request's error
+ * @param {String} url
+ * @param {Error} err
+ * @return {String}
+ */
+
+function describeError(url, err) {
+  if (/^Exceeded maxRedirects/.test(err.message)) {
+    return `Can't download resource: "${url}" redirected too many times`;
+  }
+  if (err.code === 'ETIMEDOUT' || err.code === 'ESOCKETTIMEDOUT') {
+    return `Can't download resource: "${url}" timed out`;
+  }
+  return `Can't download resource: ${err.message}`;
+}
@@ -0,0 +1,95 @@
+/** @module filename */
+
+/** @desc
+ * File names of stored attachments: sanitizing, slugs and random names
+ */
+
+import crypto from 'crypto';
+import mimeTypes from 'mime-types';
+
+import { extension } from './mimetype';
+
+const MAX_LENGTH = 200;
+
+/** Makes file name safe to store and put into url: strips directories,
+ * query string, control and reserved characters, leading dots and limits
+ * its length. Empty names become 'file'
+ * @param {String} name, ex. '../../etc/pass?wd.png'
+ * @return {String} ex. 'pass_wd.png'
+ */
+
+export function sanitizeFilename(name) {
+  const [base, ext] = splitExtension(
+    String(name || '')
+      .split(/[\/\\]/)
+      .pop()
+      .normalize('NFC')
+      .replace(/[\u0000-\u001f\u007f<>:"|?*#%&{}$!'`@+=]/g, '_')
+      .replace(/\s+/g, ' ')
+      .replace(/^[.\s]+|[.\s]+$/g, '')
+  );
+
+  const safeExt = ext.replace(/[^a-z0-9]/gi, '').substr(0, 10);
+  const maxBase = MAX_LENGTH - (safeExt ? safeExt.length + 1 : 0);
+  const safeBase = base.substr(0, maxBase).replace(/[.\s]+$/, '') || 'file';
+
+  return safeExt ? `${safeBase}.${safeExt}` : safeBase;
+}
+
+/** Returns lowercase ASCII slug of file name, keeping its extension
+ * @param {String} name, ex. 'Ünïcode Résumé (final).PDF'
+ * @return {String} ex. 'unicode-resume-final.pdf'
+ */
+
+export function slugify(name) {
+  const [base, ext] = splitExtension(sanitizeFilename(name));
+  const slug = base
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'file';
+  return ext ? `${slug}.${ext.toLowerCase()}` : slug;
+}
+
+/** Returns random RFC 4122 version 4 UUID
+ * @return {String}
+ */
+
+export function uuid() {
+  const bytes = crypto.randomBytes(16);
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.toString('hex');
+  return [
+    hex.substr(0, 8),
+    hex.substr(8, 4),
+    hex.substr(12, 4),
+    hex.substr(16, 4),
+    hex.substr(20)
+  ].join('-');
+}
+
+/** Replaces file name's extension with one of mimetype, unless it's
+ * already one of mimetype's extensions, so stored file can't be served
+ * with another type than its contents
+ * @param {String} name, ex. 'photo.jpeg', 'invoice.html'
+ * @param {String} mimetype - detected MIME type, ex. 'image/jpeg'
+ * @return {String} ex. 'photo.jpeg', 'invoice.pdf'
+ */
+
+export function withExtension(name, mimetype) {
+  const [base, ext] = splitExtension(name);
+  if (ext && mimeTypes.lookup(ext) === mimetype) return name;
+  return `${base || 'file'}.${extension(mimetype)}`;
+}
+
+/** Splits file name into base and extension
+ * @param {String} name, ex. 'archive.tar.gz'
+ * @return {Array<String>} ex. ['archive.tar', 'gz']
+ */
+
+export function splitExtension(name) {
+  const match = name.match(/^(.*[^.])\.([^.]+)$/);
+  return match ? [match[1], match[2]] : [name, ''];
+}
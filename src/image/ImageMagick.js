@@ -0,0 +1,166 @@
+/** @module image/imagemagick */
+
+/** @desc
+ * Image processor, which runs ImageMagick through gm, one process per
+ * rendered file. Used by default, requires ImageMagick on the host.
+ * Processor should implement probe(path), load(path), crop(image, rect),
+ * resize(image, spec) and encode(image, path, options) methods, and
+ * orient(image) for options.autoOrient; image is whatever processor's load
+ * returns.
+ */
+
+import graphicsMagick from 'gm';
+
+const gm = graphicsMagick.subClass({ imageMagick: true });
+
+/* Resize geometry flags of fits */
+const FLAGS = {
+  fill:    '!',
+  cover:   '^',
+  contain: ''
+};
+
+/* EXIF orientations by ImageMagick's names, 1-8 */
+const ORIENTATIONS = [
+  'TopLeft',
+  'TopRight',
+  'BottomRight',
+  'BottomLeft',
+  'LeftTop',
+  'RightTop',
+  'RightBottom',
+  'LeftBottom'
+];
+
+const GRAVITIES = {
+  center:    'Center',
+  north:     'North',
+  northeast: 'NorthEast',
+  east:      'East',
+  southeast: 'SouthEast',
+  south:     'South',
+  southwest: 'SouthWest',
+  west:      'West',
+  northwest: 'NorthWest'
+};
+
+export default class ImageMagick {
+
+  /** Reads image's stored dimensions and EXIF orientation
+   * @param {String} path
+   * @return {Promise<{ width: Number, height: Number, orientation: Number },
+   *                  Error>} orientation is undefined if image has none
+   */
+
+  probe(path) {
+    return Promise.all([
+      new Promise((resolve, reject) => {
+        gm(path).size((err, size) => {
+          if (err) return reject(err);
+          resolve(size);
+        });
+      }),
+      /* Images without EXIF are "Unknown" or "Undefined" */
+      new Promise(resolve => {
+        gm(path).orientation((err, name) => {
+          const index = err ? -1 : ORIENTATIONS.indexOf(name);
+          resolve(index === -1 ? undefined : index + 1);
+        });
+      })
+    ])
+    .then(([{ width, height }, orientation]) => ({
+      width,
+      height,
+      orientation
+    }));
+  }
+
+  /** Starts chain of operations on image. Operations accumulate, so every
+   * output needs its own chain
+   * @param {String} path
+   * @return {Object} gm instance
+   */
+
+  load(path) {
+    return gm(path);
+  }
+
+  /** Rotates and flips image according to its EXIF orientation, which is
+   * reset then
+   * @param {Object} image - gm instance
+   * @return {Object} gm instance
+   */
+
+  orient(image) {
+    return image.autoOrient();
+  }
+
+  /** Crops image
+   * @param {Object} image - gm instance
+   * @param {Object} rect - { x, y, width, height } in pixels
+   * @return {Object} gm instance
+   */
+
+  crop(image, { x, y, width, height }) {
+    return image
+      .crop(width, height, x, y)
+      .repage('+');
+  }
+
+  /** Resizes image, see image/geometry resizeSpec
+   * @param {Object} image - gm instance
+   * @param {Object} spec - { width, height, fit, gravity, background,
+   *                 withoutEnlargement }
+   * @return {Object} gm instance
+   */
+
+  resize(image, spec) {
+    const { width, height, fit, gravity, background } = spec;
+
+    image = image.resize(
+      width,
+      height,
+      FLAGS[fit] + (spec.withoutEnlargement ? '>' : '')
+    );
+
+    if (fit === 'cover') {
+      return image
+        .gravity(GRAVITIES[gravity])
+        .crop(width, height, 0, 0)
+        .repage('+');
+    }
+
+    if (fit === 'contain') {
+      return image
+        .background(background)
+        .gravity(GRAVITIES[gravity])
+        .extent(width, height);
+    }
+
+    return image;
+  }
+
+  /** Writes image. Output format is picked by path's extension, or is kept
+   * if path has none
+   * @param {Object} image - gm instance
+   * @param {String} path
+   * @param {Object} options
+   * @param {Number} [options.quality] - ImageMagick estimates JPEG's
+   *                 quality, if not given
+   * @param {Boolean} [options.stripMetadata] - if true, EXIF, XMP, IPTC,
+   *                 comments and profiles are removed
+   * @return {Promise<String, Error>} promise which resolves with path
+   */
+
+  encode(image, path, { quality, stripMetadata }) {
+    if (typeof quality !== 'undefined') image = image.quality(quality);
+    if (stripMetadata) image = image.strip();
+
+    return new Promise((resolve, reject) => {
+      image.write(path, err => {
+        if (err) return reject(err);
+        resolve(path);
+      });
+    });
+  }
+}
@@ -0,0 +1,142 @@
+/** @module image/sharp */
+
+/** @desc
+ * Image processor on top of sharp (libvips), which renders in-process and
+ * doesn't need ImageMagick. sharp isn't a dependency of this package,
+ * install it with npm install sharp.
+ */
+
+import { extname } from 'path';
+
+import { validateType } from '../utils';
+
+/* Output formats by extension */
+const FORMATS = {
+  jpg:  'jpeg',
+  jpeg: 'jpeg',
+  png:  'png',
+  webp: 'webp',
+  avif: 'avif',
+  gif:  'gif',
+  tif:  'tiff',
+  tiff: 'tiff'
+};
+
+/* Formats, whose quality option means lossy compression. For PNG it
+ * means palette quantization, unlike ImageMagick's -quality */
+const LOSSY = ['jpeg', 'webp', 'avif', 'tiff'];
+
+export default class Sharp {
+
+  /**
+   * @param {Object}   [options]
+   * @param {Function} [options.sharp] - sharp module, required by default
+   */
+
+  constructor({ sharp } = {}) {
+    validateType({ sharp }, 'Function | Undefined');
+
+    this._SHARP = sharp || loadSharp();
+  }
+
+  /** Reads image's stored dimensions and EXIF orientation
+   * @param {String} path
+   * @return {Promise<{ width: Number, height: Number, orientation: Number },
+   *                  Error>} orientation is undefined if image has none
+   */
+
+  probe(path) {
+    return this._SHARP(path).metadata()
+      .then(({ width, height, orientation }) => ({
+        width,
+        height,
+        orientation
+      }));
+  }
+
+  /** Starts pipeline of operations on image
+   * @param {String} path
+   * @return {Object} sharp instance
+   */
+
+  load(path) {
+    return this._SHARP(path);
+  }
+
+  /** Rotates and flips image according to its EXIF orientation, which is
+   * removed then
+   * @param {Object} image - sharp instance
+   * @return {Object} sharp instance
+   */
+
+  orient(image) {
+    return image.rotate();
+  }
+
+  /** Crops image before it's resized
+   * @param {Object} image - sharp instance
+   * @param {Object} rect - { x, y, width, height } in pixels
+   * @return {Object} sharp instance
+   */
+
+  crop(image, { x, y, width, height }) {
+    return image.extract({ left: x, top: y, width, height });
+  }
+
+  /** Resizes image, see image/geometry resizeSpec
+   * @param {Object} image - sharp instance
+   * @param {Object} spec - { width, height, fit, gravity, background,
+   *                 withoutEnlargement }
+   * @return {Object} sharp instance
+   */
+
+  resize(image, spec) {
+    return image.resize(spec.width, spec.height, {
+      fit: spec.fit,
+      position: spec.gravity,
+      background: spec.background,
+      withoutEnlargement: spec.withoutEnlargement
+    });
+  }
+
+  /** Writes image. Output format is picked by path's extension, or is kept
+   * if path has none. Metadata is kept, as ImageMagick does, unless it's
+   * stripped
+   * @param {Object} image - sharp instance
+   * @param {String} path
+   * @param {Object} options
+   * @param {Number} [options.quality] - sharp's default, if not given
+   * @param {Boolean} [options.stripMetadata] - if true, EXIF, XMP, IPTC
+   *                 and ICC profile are removed
+   * @return {Promise<String, Error>} promise which resolves with path
+   */
+
+  encode(image, path, { quality, stripMetadata }) {
+    const format = FORMATS[extname(path).slice(1).toLowerCase()];
+
+    if (format) {
+      image = image.toFormat(
+        format,
+        LOSSY.indexOf(format) !== -1 && typeof quality !== 'undefined' ?
+          { quality } :
+          {}
+      );
+    }
+
+    /* sharp drops metadata by default */
+    if (!stripMetadata) image = image.keepMetadata();
+
+    return image
+      .toFile(path)
+      .then(() => path);
+  }
+}
+
+/** Requires sharp lazily, so that it's needed only when this processor
+ * is used
+ * @return {Function} sharp
+ */
+
+function loadSharp() {
+  return require('sharp');
+}
@@ -0,0 +1,205 @@
+/** @module image/geometry */
+
+/** @desc
+ * Translates sizes and crops into operations of image processors. Geometry
+ * strings (ImageMagick's "100x100^", "50%"...) and single-dimension sizes
+ * are resolved to exact dimensions against source image here, so that every
+ * processor renders the same output geometry.
+ */
+
+/* Fit modes of object-form sizes */
+export const FITS = ['cover', 'contain', 'fill', 'inside'];
+
+export const GRAVITIES = [
+  'center',
+  'north',
+  'northeast',
+  'east',
+  'southeast',
+  'south',
+  'southwest',
+  'west',
+  'northwest'
+];
+
+/** Parses geometry of format "[width][x[height]][flags]", where flags are
+ * any of % ! ^ < >
+ * @param {String|Number} size
+ * @return {Object|null} { width, height, flags }, null if size isn't
+ *                  a supported geometry
+ */
+
+export function parseGeometry(size) {
+  const match = String(size)
+    .match(/^(\d+(?:\.\d+)?)?(?:x(\d+(?:\.\d+)?))?([%!^<>]*)$/);
+
+  if (!match || (!match[1] && !match[2])) return null;
+
+  return {
+    width: match[1] && Number(match[1]),
+    height: match[2] && Number(match[2]),
+    flags: match[3]
+  };
+}
+
+/** Returns resize operation for size
+ * @param {String|Number|Undefined} size - geometry, see parseGeometry
+ * @param {Object} options - object-form size, used if geometry is undefined
+ * @param {{ width: Number, height: Number }} source - dimensions of image
+ *                  being resized, after crop
+ * @return {Object} { width, height, fit, gravity, background,
+ *                  withoutEnlargement }, where fit is one of fill, cover or
+ *                  contain. Output image is exactly width x height, unless
+ *                  withoutEnlargement keeps cover from enlarging
+ */
+
+export function resizeSpec(size, options, source) {
+  if (typeof size !== 'undefined') {
+    const { width, height, flags } = parseGeometry(size);
+    return fill(resolveGeometry(width, height, flags, source));
+  }
+
+  const {
+    width,
+    height,
+    gravity = 'center',
+    background = 'transparent',
+    withoutEnlargement
+  } = options;
+
+  /* With single dimension every fit is the same */
+  const fit = width && height ? options.fit || 'cover' : 'inside';
+  const flags = withoutEnlargement ? '>' : '';
+
+  if (fit === 'inside') {
+    return fill(resolveGeometry(width, height, flags, source));
+  }
+
+  if (fit === 'fill') {
+    return fill(resolveGeometry(width, height, `!${flags}`, source));
+  }
+
+  return {
+    width,
+    height,
+    fit,
+    gravity,
+    background,
+    withoutEnlargement: !!withoutEnlargement
+  };
+}
+
+/** Returns resize operation, which stretches image to dimensions
+ * @param {{ width: Number, height: Number }} dimensions
+ * @return {Object}
+ */
+
+function fill({ width, height }) {
+  return {
+    width: Math.max(Math.round(width), 1),
+    height: Math.max(Math.round(height), 1),
+    fit: 'fill',
+    gravity: 'center',
+    background: 'transparent',
+    withoutEnlargement: false
+  };
+}
+
+/** Returns dimensions of image resized to geometry, the way ImageMagick's
+ * -resize does: fits inside by default, covers with ^, ignores aspect
+ * ratio with !, scales by percents with %
+ * @param {Number} [width]
+ * @param {Number} [height]
+ * @param {String} flags
+ * @param {{ width: Number, height: Number }} source
+ * @return {{ width: Number, height: Number }}
+ */
+
+function resolveGeometry(width, height, flags, source) {
+  if (flags.indexOf('%') !== -1) {
+    return {
+      width: source.width * (width || height) / 100,
+      height: source.height * (height || width) / 100
+    };
+  }
+
+  if (flags.indexOf('!') !== -1) {
+    return limit({
+      width: width || source.width,
+      height: height || source.height
+    }, source, flags);
+  }
+
+  const scales = [width / source.width, height / source.height]
+    .filter(scale => !isNaN(scale));
+  const scale = flags.indexOf('^') !== -1 ?
+    Math.max(...scales) : Math.min(...scales);
+
+  return limit({
+    width: source.width * scale,
+    height: source.height * scale
+  }, source, flags);
+}
+
+/** Keeps source's dimensions, if flags forbid enlarging (>) or reducing (<)
+ * @param {{ width: Number, height: Number }} target
+ * @param {{ width: Number, height: Number }} source
+ * @param {String} flags
+ * @return {{ width: Number, height: Number }}
+ */
+
+function limit(target, source, flags) {
+  const enlarges = target.width > source.width
+    || target.height > source.height;
+  const reduces = target.width < source.width
+    || target.height < source.height;
+
+  if (flags.indexOf('>') !== -1 && !reduces) return source;
+  if (flags.indexOf('<') !== -1 && !enlarges) return source;
+  return target;
+}
+
+/** Returns dimensions of image, as it's displayed: EXIF orientations 5-8
+ * rotate image by 90 degrees, so its width and height are swapped
+ * @param {Object} dimensions
+ * @param {Number} dimensions.width
+ * @param {Number} dimensions.height
+ * @param {Number} [dimensions.orientation] - EXIF orientation, 1-8
+ * @return {{ width: Number, height: Number }}
+ */
+
+export function orientedDimensions({ width, height, orientation }) {
+  return orientation >= 5 && orientation <= 8 ?
+    { width: height, height: width } :
+    { width, height };
+}
+
+/** Returns crop in pixels, kept inside of image
+ * @param {Object} crop - crop in fractions of image's dimensions
+ *                  { width, height, x, y }, missing width and height mean
+ *                  the whole image
+ * @param {{ width: Number, height: Number }} source - image's dimensions
+ * @return {{ x: Number, y: Number, width: Number, height: Number }}
+ */
+
+export function cropRect(crop, source) {
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+
+  const x = clamp(Math.round(source.width * (Number(crop.x) || 0)),
+    source.width - 1);
+  const y = clamp(Math.round(source.height * (Number(crop.y) || 0)),
+    source.height - 1);
+
+  return {
+    x,
+    y,
+    width: clamp(
+      Math.round(source.width * (Number(crop.width) || 1)),
+      source.width - x
+    ) || 1,
+    height: clamp(
+      Math.round(source.height * (Number(crop.height) || 1)),
+      source.height - y
+    ) || 1
+  };
+}
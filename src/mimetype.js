@@ -0,0 +1,121 @@
+/** @module mimetype */
+
+/** @desc
+ * MIME type detection by file contents (magic bytes)
+ */
+
+import fs from 'fs';
+import fileType from 'file-type';
+import mimeTypes from 'mime-types';
+
+/** Reads first bytes of file and detects its type
+ * @param {String} path
+ * @return {Promise<{ mime: String, ext: String }|null, Error>}
+ */
+
+export function detectMimetype(path) {
+  return new Promise((resolve, reject) => {
+    fs.open(path, 'r', (err, fd) => {
+      if (err) return reject(err);
+      const buffer = Buffer.alloc(fileType.minimumBytes);
+      fs.read(fd, buffer, 0, buffer.length, 0, (err, bytesRead) => {
+        fs.close(fd, () => {});
+        if (err) return reject(err);
+        resolve(fileType(buffer.slice(0, bytesRead)) || null);
+      });
+    });
+  });
+}
+
+/** Returns file extension for MIME type, ex. 'png' for 'image/png'
+ * @param {String} mimetype
+ * @return {String}
+ */
+
+export function extension(mimetype) {
+  return mimeTypes.extension(mimetype) || 'bin';
+}
+
+/** Returns MIME type for file's extension, ex. 'image/webp' for
+ * /a/pic_small.webp
+ * @param {String} path
+ * @return {String}
+ */
+
+export function lookupMimetype(path) {
+  return mimeTypes.lookup(path) || 'application/octet-stream';
+}
+
+const ALIASES = {
+  'image/jpg':   'image/jpeg',
+  'image/pjpeg': 'image/jpeg',
+  'image/x-png': 'image/png'
+};
+
+/** Lowercases MIME type, strips its parameters and resolves common aliases
+ * @param {String} mimetype, ex. 'image/JPG; charset=binary'
+ * @return {String|undefined} ex. 'image/jpeg'
+ */
+
+export function normalize(mimetype) {
+  if (typeof mimetype !== 'string') return;
+  const type = mimetype.split(';')[0].trim().toLowerCase();
+  return ALIASES[type] || type || undefined;
+}
+
+/* Declared types, which are trusted for contents without magic bytes. They
+ * are served as inert text, unlike HTML, SVG or made-up image/* types */
+const TRUSTED_MIMETYPES = [
+  'text/plain',
+  'text/csv',
+  'text/tab-separated-values',
+  'text/markdown',
+  'application/json'
+];
+
+/** Detects file's MIME type by contents and compares it with declared one.
+ * Declared type is trusted for undetected contents only if it's one of
+ * TRUSTED_MIMETYPES, like text/plain or text/csv. Otherwise undetected
+ * contents are treated as application/octet-stream
+ * @param {String} path
+ * @param {String} [declared] - MIME type reported by client or server
+ * @return {Promise<{ mimetype: String, mismatch: Boolean }, Error>}
+ */
+
+export function sniffMimetype(path, declared) {
+  return detectMimetype(path)
+    .then(detected => resolveMimetype(detected, declared));
+}
+
+/** Same as sniffMimetype, but detects type from file's first bytes, ex.
+ * while it's being received
+ * @param {Buffer} buffer - at least fileType.minimumBytes, if file is larger
+ * @param {String} [declared]
+ * @return {{ mimetype: String, mismatch: Boolean }}
+ */
+
+export function sniffBuffer(buffer, declared) {
+  return resolveMimetype(fileType(buffer) || null, declared);
+}
+
+/** Number of first bytes needed to detect file's type */
+
+export const SNIFF_BYTES = fileType.minimumBytes;
+
+function resolveMimetype(detected, declared) {
+  declared = normalize(declared);
+  let mimetype;
+
+  if (detected) {
+    mimetype = detected.mime;
+  } else if (TRUSTED_MIMETYPES.indexOf(declared) !== -1) {
+    mimetype = declared;
+  } else {
+    mimetype = 'application/octet-stream';
+  }
+
+  return {
+    mimetype,
+    mismatch: !!declared && declared !== mimetype
+  };
+}
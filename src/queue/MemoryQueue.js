@@ -0,0 +1,91 @@
+/** @module queue/memory */
+
+/** @desc
+ * In-process job queue, used for background processing by default. Jobs
+ * are lost on restart, so use an adapter for external queue, if that
+ * matters. Adapter should implement enqueue(job) and process(handler)
+ * methods; jobs are plain JSON-serializable objects.
+ */
+
+import { validateType } from '../utils';
+
+export default class MemoryQueue {
+
+  /**
+   * @param {Object}  [options]
+   * @param {Number}  [options.concurrency=1] - jobs processed at once
+   */
+
+  constructor({ concurrency } = {}) {
+    validateType({ concurrency }, 'Number | Undefined');
+
+    this._CONCURRENCY = Math.max(concurrency || 1, 1);
+    this._jobs = [];
+    this._running = 0;
+    this._handler = null;
+    this._idle = [];
+  }
+
+  /** Adds job to queue
+   * @param {Object} job
+   * @return {Promise}
+   */
+
+  enqueue(job) {
+    this._jobs.push(job);
+    this._next();
+    return Promise.resolve();
+  }
+
+  /** Sets handler, which is called for every job. Handler's rejections
+   * are ignored, since there is nobody to retry them
+   * @param {function(job: Object): Promise} handler
+   */
+
+  process(handler) {
+    validateType({ handler }, 'Function');
+
+    this._handler = handler;
+    this._next();
+  }
+
+  /** Resolves when there are no queued or running jobs
+   * @return {Promise}
+   */
+
+  onIdle() {
+    if (this._isIdle()) return Promise.resolve();
+    return new Promise(resolve => this._idle.push(resolve));
+  }
+
+  _isIdle() {
+    return !this._running && (!this._handler || !this._jobs.length);
+  }
+
+  /** Starts queued jobs up to concurrency */
+
+  _next() {
+    while (
+         this._handler
+      && this._running < this._CONCURRENCY
+      && this._jobs.length
+    ) {
+      const job = this._jobs.shift();
+      this._running++;
+
+      Promise.resolve()
+        .then(() => this._handler(job))
+        .catch(e => {})
+        .then(() => {
+          this._running--;
+          this._next();
+        });
+    }
+
+    if (this._isIdle()) {
+      const idle = this._idle;
+      this._idle = [];
+      idle.forEach(resolve => resolve());
+    }
+  }
+}
@@ -0,0 +1,89 @@
+/** @module signature */
+
+/** @desc
+ * HMAC signatures of expiring urls of private files
+ */
+
+import crypto from 'crypto';
+import { parse as parseUrl } from 'url';
+
+import { encodeKey } from './utils';
+
+/** Returns signed url of storage key, which expires in expiresIn
+ * milliseconds
+ * @param {String} prefix - url prefix, where files are served, ex. /private
+ * @param {String} key - storage key, ex. /uploads/users/docs/1/passport.pdf
+ * @param {Object} options
+ * @param {String} options.secret
+ * @param {Number} options.expiresIn - in milliseconds
+ * @param {Number} [options.now=Date.now()]
+ * @return {String} ex. /private/uploads/users/docs/1/passport.pdf?expires=
+ *                  1500000000&signature=ab12...
+ */
+
+export function signUrl(prefix, key, { secret, expiresIn, now = Date.now() }) {
+  const expires = Math.ceil((now + expiresIn) / 1000);
+  return `${prefix.replace(/\/$/, '')}${encodeKey(key)}` +
+    `?expires=${expires}&signature=${sign(key, expires, secret)}`;
+}
+
+/** Returns storage key of signed url, if its signature is valid and it
+ * hasn't expired yet
+ * @param {String} url - request's url, starting with prefix
+ * @param {String} prefix
+ * @param {Object} options
+ * @param {String} options.secret
+ * @param {Number} [options.now=Date.now()]
+ * @return {{ key: String, expires: Number }|{ key: String, error: String }|
+ *          undefined} undefined, if url isn't under prefix
+ */
+
+export function verifyUrl(url, prefix, { secret, now = Date.now() }) {
+  const { pathname, query } = parseUrl(url, true);
+  prefix = prefix.replace(/\/$/, '');
+
+  let key;
+  try {
+    key = decodeURIComponent(pathname);
+  } catch (e) {
+    return;
+  }
+
+  if (key.indexOf(`${prefix}/`) !== 0) return;
+  key = key.substr(prefix.length);
+
+  const expires = Number(query.expires);
+  const signature = String(query.signature || '');
+
+  if (!/^\d+$/.test(query.expires) || !signature) {
+    return { key, error: 'Missing signature' };
+  }
+
+  /* Non-ASCII signature of the same length has more bytes */
+  const actual = Buffer.from(signature);
+  const expected = Buffer.from(sign(key, expires, secret));
+  if (
+       actual.length !== expected.length
+    || !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return { key, error: 'Invalid signature' };
+  }
+
+  if (expires * 1000 <= now) return { key, error: 'Url has expired' };
+
+  return { key, expires };
+}
+
+/** Returns hex HMAC-SHA256 of key and expiration time
+ * @param {String} key
+ * @param {Number} expires - unix time in seconds
+ * @param {String} secret
+ * @return {String}
+ */
+
+function sign(key, expires, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${key}\n${expires}`)
+    .digest('hex');
+}
@@ -0,0 +1,172 @@
+/** @module storage/local */
+
+/** @desc
+ * Storage driver, which keeps files on local disk. Keys are paths relative
+ * to root folder with leading slash, ex. /uploads/users/pictures/1/a.jpg
+ */
+
+import fs from 'fs';
+import { resolve as resolvePath, dirname, sep } from 'path';
+
+import mkdirp from 'mkdirp';
+import mv from 'mv';
+
+import { validateType, encodeKey } from '../utils';
+
+export default class LocalStorage {
+
+  /**
+   * @param {Object}  [options]
+   * @param {String}  [options.root='public'] - Folder relative to your
+   *                  project, which keys are resolved against
+   */
+
+  constructor({ root } = {}) {
+    validateType({ root }, 'String | Undefined');
+
+    this._ROOT = root || 'public';
+  }
+
+  /** Returns local path for key. Throws if key resolves outside of root,
+   * ex. /uploads/../../etc/hostname
+   * @param {String} key
+   * @return {String}
+   */
+
+  _path(key) {
+    const path = `${this._ROOT}${key}`;
+    const root = resolvePath(this._ROOT);
+    const resolved = resolvePath(path);
+
+    if (resolved !== root && resolved.indexOf(root + sep) !== 0) {
+      throw new Error(`Key ${key} is outside of storage's root`);
+    }
+
+    return path;
+  }
+
+  /** Moves local file or pipes readable stream to key's location
+   * @param {String|stream.Readable} source - local path or readable stream
+   * @param {String} key
+   * @return {Promise<String, Error>} promise which resolves with key
+   */
+
+  write(source, key) {
+    return new Promise((resolve, reject) => {
+      const path = this._path(key);
+
+      if (typeof source === 'string') {
+        if (resolvePath(source) === resolvePath(path)) return resolve(key);
+
+        return mv(source, path, { mkdirp: true }, err => {
+          if (err) return reject(err);
+          resolve(key);
+        });
+      }
+
+      mkdirp(dirname(path), err => {
+        if (err) return reject(err);
+        source
+          .on('error', reject)
+          .pipe(fs.createWriteStream(path))
+          .on('error', reject)
+          .on('close', () => resolve(key));
+      });
+    });
+  }
+
+  /** Returns readable stream of key's contents
+   * @param {String} key
+   * @return {stream.Readable}
+   * @throws {Error} if key is outside of root
+   */
+
+  createReadStream(key) {
+    return fs.createReadStream(this._path(key));
+  }
+
+  /** Deletes file, resolves if it's already missing
+   * @param {String} key
+   * @return {Promise}
+   */
+
+  delete(key) {
+    return new Promise((resolve, reject) => {
+      const path = this._path(key);
+
+      fs.unlink(path, err => {
+        if (err && err.code !== 'ENOENT') return reject(err);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @param {String} key
+   * @return {Promise<Boolean, Error>} rejects if key is outside of root
+   */
+
+  exists(key) {
+    return new Promise(resolve => {
+      const path = this._path(key);
+
+      fs.stat(path, err => resolve(!err));
+    });
+  }
+
+  /** Recursively lists files under prefix
+   * @param {String} prefix - ex. /uploads/users
+   * @return {Promise<Array<{ key: String, modified: Date }>, Error>}
+   */
+
+  list(prefix) {
+    const root = this._ROOT;
+
+    const walk = dir => readDir(dir)
+      .then(names => Promise.all(names.map(name => {
+        const path = `${dir}/${name}`;
+        return stat(path).then(stat => {
+          if (stat.isDirectory()) return walk(path);
+          return [{ key: path.substr(root.length), modified: stat.mtime }];
+        });
+      })))
+      .then(lists => [].concat(...lists));
+
+    return Promise.resolve()
+      .then(() => walk(this._path(prefix).replace(/\/+$/, '')));
+  }
+
+  /** Files under root are served as is, so url is the encoded key
+   * @param {String} key
+   * @return {String}
+   */
+
+  url(key) {
+    return encodeKey(key);
+  }
+}
+
+/** Promise wrapper for fs.readdir, resolves with empty array for missing
+ * directories
+ * @param {String} dir
+ * @return {Promise<Array<String>, Error>}
+ */
+
+function readDir(dir) {
+  return new Promise((resolve, reject) => {
+    fs.readdir(dir, (err, names) => {
+      if (err && err.code === 'ENOENT') return resolve([]);
+      if (err) return reject(err);
+      resolve(names);
+    });
+  });
+}
+
+function stat(path) {
+  return new Promise((resolve, reject) => {
+    fs.stat(path, (err, stat) => {
+      if (err) return reject(err);
+      resolve(stat);
+    });
+  });
+}
@@ -0,0 +1,209 @@
+/** @module storage/s3 */
+
+/** @desc
+ * Storage driver for Amazon S3 and S3-compatible services (MinIO, Ceph,
+ * DigitalOcean Spaces, etc). Keys are the same paths LocalStorage uses,
+ * stored as object keys without leading slash. AWS SDK v3 isn't a dependency
+ * of this package, install it with
+ * npm install @aws-sdk/client-s3 @aws-sdk/lib-storage
+ */
+
+import fs from 'fs';
+import { PassThrough } from 'stream';
+
+import { validateType, encodeKey } from '../utils';
+
+export default class S3Storage {
+
+  /**
+   * @param {Object}  options
+   * @param {String}  options.bucket
+   * @param {Object}  [options.client] - Preconfigured S3Client instance. If
+   *                  set, endpoint, region and credentials are ignored
+   * @param {String}  [options.endpoint] - For S3-compatible services,
+   *                  ex. http://localhost:9000. Implies path-style urls
+   * @param {String}  [options.region]
+   * @param {String}  [options.accessKeyId]
+   * @param {String}  [options.secretAccessKey]
+   * @param {String}  [options.prefix=''] - Prepended to every object key
+   * @param {String}  [options.baseUrl] - Public url of bucket, defaults to
+   *                  {endpoint}/{bucket} or https://{bucket}.s3.amazonaws.com
+   * @param {String}  [options.acl='public-read'] - ACL of objects, which
+   *                  aren't private
+   */
+
+  constructor({
+      bucket,
+      client,
+      endpoint,
+      region,
+      accessKeyId,
+      secretAccessKey,
+      prefix,
+      baseUrl,
+      acl
+    }) {
+    validateType({ bucket },   'String');
+    validateType({ client },   'Object | Undefined');
+    validateType({ endpoint }, 'String | Undefined');
+    validateType({ prefix },   'String | Undefined');
+    validateType({ baseUrl },  'String | Undefined');
+    validateType({ acl },      'String | Undefined');
+
+    this._BUCKET   = bucket;
+    this._CLIENT   = client || createClient({
+      endpoint,
+      region: region || 'us-east-1',
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+      forcePathStyle: !!endpoint,
+      /* S3-compatible services don't always support default checksums */
+      requestChecksumCalculation: endpoint ? 'WHEN_REQUIRED' : undefined
+    });
+    this._PREFIX   = prefix ? prefix.replace(/\/$/, '') + '/' : '';
+    this._BASE_URL = (baseUrl || (endpoint ?
+                     `${endpoint}/${bucket}` :
+                     `https://${bucket}.s3.amazonaws.com`)).replace(/\/$/, '');
+    this._ACL      = acl || 'public-read';
+  }
+
+  /** Returns object key for storage key
+   * @param {String} key
+   * @return {String}
+   */
+
+  _objectKey(key) {
+    return this._PREFIX + key.replace(/^\//, '');
+  }
+
+  /** Uploads local file or readable stream, in parts, if it's large. Local
+   * file is removed after successful upload
+   * @param {String|stream.Readable} source - local path or readable stream
+   * @param {String} key
+   * @param {Object} [options]
+   * @param {String} [options.mimetype]
+   * @param {Boolean} [options.private=false] - if true, object is written
+   *                  with private ACL regardless of options.acl
+   * @return {Promise<String, Error>} promise which resolves with key
+   */
+
+  write(source, key, { mimetype, private: isPrivate } = {}) {
+    const isPath = typeof source === 'string';
+    const params = {
+      Bucket: this._BUCKET,
+      Key:    this._objectKey(key),
+      Body:   isPath ? fs.createReadStream(source) : source,
+      ACL:    isPrivate ? 'private' : this._ACL
+    };
+
+    if (mimetype) params.ContentType = mimetype;
+
+    const { Upload } = require('@aws-sdk/lib-storage');
+
+    return new Upload({ client: this._CLIENT, params }).done()
+      .then(() => new Promise(resolve => {
+        if (!isPath) return resolve(key);
+        fs.unlink(source, () => resolve(key));
+      }));
+  }
+
+  /** Object is requested asynchronously, so its errors are emitted by the
+   * returned stream
+   * @param {String} key
+   * @return {stream.Readable}
+   */
+
+  createReadStream(key) {
+    const { GetObjectCommand } = require('@aws-sdk/client-s3');
+    const stream = new PassThrough();
+
+    this._CLIENT.send(new GetObjectCommand({
+      Bucket: this._BUCKET,
+      Key:    this._objectKey(key)
+    }))
+      .then(({ Body }) => {
+        Body.on('error', err => stream.destroy(err)).pipe(stream);
+      })
+      .catch(err => stream.destroy(err));
+
+    return stream;
+  }
+
+  /** S3 doesn't fail on missing keys, so neither does this
+   * @param {String} key
+   * @return {Promise}
+   */
+
+  delete(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+    return this._CLIENT.send(new DeleteObjectCommand({
+      Bucket: this._BUCKET,
+      Key:    this._objectKey(key)
+    })).then(() => {});
+  }
+
+  /**
+   * @param {String} key
+   * @return {Promise<Boolean, Error>}
+   */
+
+  exists(key) {
+    const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+
+    return this._CLIENT.send(new HeadObjectCommand({
+      Bucket: this._BUCKET,
+      Key:    this._objectKey(key)
+    }))
+      .then(() => true)
+      .catch(err => {
+        const status = err.$metadata && err.$metadata.httpStatusCode;
+        if (err.name === 'NotFound' || status === 404) return false;
+        return Promise.reject(err);
+      });
+  }
+
+  /** Lists objects under prefix, following continuation tokens
+   * @param {String} prefix - ex. /uploads/users
+   * @return {Promise<Array<{ key: String, modified: Date }>, Error>}
+   */
+
+  list(prefix) {
+    const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+    const files = [];
+
+    const fetch = token => this._CLIENT.send(new ListObjectsV2Command({
+      Bucket:            this._BUCKET,
+      Prefix:            this._objectKey(prefix),
+      ContinuationToken: token
+    }))
+      .then(data => {
+        (data.Contents || []).forEach(object => files.push({
+          key:      '/' + object.Key.substr(this._PREFIX.length),
+          modified: object.LastModified
+        }));
+        return data.IsTruncated ? fetch(data.NextContinuationToken) : files;
+      });
+
+    return fetch();
+  }
+
+  /**
+   * @param {String} key
+   * @return {String}
+   */
+
+  url(key) {
+    return `${this._BASE_URL}/${encodeKey(this._objectKey(key))}`;
+  }
+}
+
+/** Creates S3Client. AWS SDK is required lazily, so it's only loaded when
+ * S3Storage is used
+ * @param {Object} options - S3Client constructor options
+ * @return {S3Client}
+ */
+
+function createClient(options) {
+  const { S3Client } = require('@aws-sdk/client-s3');
+  return new S3Client(options);
+}
@@ -0,0 +1,89 @@
+/** @module transaction */
+
+/** @desc
+ * Commit and rollback callbacks for sequelize transactions. Uses
+ * transaction.afterCommit where sequelize provides it and wraps transaction's
+ * commit() and rollback() methods otherwise, since there is no rollback
+ * hook in any sequelize version.
+ */
+
+const CALLBACKS = '__sequelizeFileCallbacks';
+
+/** Calls either commit or rollback callback, whichever happens first, once.
+ * For nested transactions (savepoints) rollback of any transaction in chain
+ * counts, but commit is the commit of the outermost one
+ * @param {Sequelize.Transaction} transaction
+ * @param {Object} callbacks
+ * @param {Function} [callbacks.commit]
+ * @param {Function} [callbacks.rollback]
+ */
+
+export function onTransactionEnd(transaction, { commit, rollback }) {
+  let settled = false;
+
+  const once = fn => () => {
+    if (settled) return;
+    settled = true;
+    return fn && fn();
+  };
+
+  const onCommit = once(commit);
+  const onRollback = once(rollback);
+
+  let root = transaction;
+
+  for (let t = transaction; t; t = t.parent) {
+    getCallbacks(t).rollback.push(onRollback);
+    root = t;
+  }
+
+  if (typeof root.afterCommit === 'function') {
+    root.afterCommit(onCommit);
+  } else {
+    getCallbacks(root).commit.push(onCommit);
+  }
+}
+
+/** Returns callbacks registered for transaction, wraps its methods on
+ * first call
+ * @param {Sequelize.Transaction} transaction
+ * @return {{ commit: Array<Function>, rollback: Array<Function> }}
+ */
+
+function getCallbacks(transaction) {
+  if (transaction[CALLBACKS]) return transaction[CALLBACKS];
+
+  const callbacks = { commit: [], rollback: [] };
+
+  Object.defineProperty(transaction, CALLBACKS, { value: callbacks });
+
+  wrap(transaction, 'commit', callbacks.commit);
+  wrap(transaction, 'rollback', callbacks.rollback);
+
+  return callbacks;
+}
+
+/** Runs callbacks after transaction's method resolves. Callback's errors
+ * are ignored, so they can't fail the commit or rollback itself
+ * @param {Sequelize.Transaction} transaction
+ * @param {String} method - 'commit' or 'rollback'
+ * @param {Array<Function>} callbacks
+ */
+
+function wrap(transaction, method, callbacks) {
+  const original = transaction[method];
+
+  transaction[method] = function () {
+    return original.apply(this, arguments)
+      .then(result => {
+        return Promise.all(
+          callbacks.map(callback => {
+            return Promise.resolve()
+              .then(callback)
+              .catch(e => {});
+          })
+        )
+        .then(() => result);
+      });
+  };
+}
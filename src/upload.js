@@ -0,0 +1,242 @@
+/** @module upload */
+
+/** @desc
+ * Multipart uploads of attachments. Files are written to temporary files,
+ * while their MIME type and size are checked as they're received, so
+ * rejected files are aborted before they're written completely. Results are
+ * set to req.body in the shape attachment attributes accept.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import crypto from 'crypto';
+
+import busboy from 'busboy';
+
+import { validateType } from './utils';
+import { extension, normalize, sniffBuffer, SNIFF_BYTES } from './mimetype';
+
+/** Returns Express/Connect middleware, which parses multipart/form-data
+ * requests. Files of other fields are skipped, other requests are passed
+ * through untouched
+ * @param {Object} fields - { [attribute]: rules }, where rules are
+ *                  { multiple: Boolean, crop: String|undefined,
+ *                    checkType({ mimetype, mismatch }): String|undefined,
+ *                    checkSize(bytes, complete): String|undefined,
+ *                    error(message): Error }
+ * @param {Object} [options]
+ * @param {String} [options.dest=os.tmpdir()] - directory for temporary files
+ * @param {Object} [options.limits] - busboy's limits, ex. { files: 10 }
+ * @return {function(req, res, next)}
+ */
+
+export function uploadMiddleware(fields, options = {}) {
+  const { dest, limits } = options;
+
+  validateType({ dest },   'String | Undefined');
+  validateType({ limits }, 'Object | Undefined');
+
+  return (req, res, next) => {
+    if (!/^multipart\/form-data/i.test(req.headers['content-type'] || '')) {
+      return next();
+    }
+
+    parse(req, fields, { dest: dest || os.tmpdir(), limits })
+      .then(body => {
+        req.body = { ...req.body, ...body };
+        next();
+      }, next);
+  };
+}
+
+/** Parses request, resolves with body's fields and received files
+ * @param {http.IncomingMessage} req
+ * @param {Object} fields - see uploadMiddleware
+ * @param {Object} options
+ * @return {Promise<Object, Error>}
+ */
+
+function parse(req, fields, { dest, limits }) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({ headers: req.headers, limits });
+    } catch (err) {
+      return reject(err);
+    }
+
+    const body = {};
+    const crops = {};
+    const files = [];
+    const writes = [];
+    let failed = false;
+
+    const fail = err => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(parser);
+      req.resume();
+      files.forEach(file => {
+        file.stream.resume();
+        file.output.destroy();
+      });
+
+      /* Received files are removed, once they're closed */
+      Promise.all(writes)
+        .then(() => Promise.all(files.map(file => remove(file.path))))
+        .then(() => reject(err));
+    };
+
+    const cropOf = name => {
+      return Object.keys(fields).filter(attribute => {
+        return fields[attribute].crop === name;
+      })[0];
+    };
+
+    parser.on('field', (name, value) => {
+      const [, base, keys] = name.match(/^([^\[]+)((?:\[[^\]]*\])*)$/) || [];
+      if (/\[(__proto__|constructor|prototype)\]/.test(keys)) return;
+      if (!base || !cropOf(base)) {
+        body[name] = value;
+        return;
+      }
+      crops[base] = keys ?
+        setPath(crops[base], keys.slice(1, -1).split(']['), value) :
+        value;
+    });
+
+    parser.on('file', (name, stream, { filename, mimeType }) => {
+      const attribute = name.replace(/\[\d*\]$/, '');
+      const rules = fields[attribute];
+
+      /* Empty file inputs are sent without file name */
+      if (failed || !rules || !filename) return stream.resume();
+
+      if (!rules.multiple && files.some(file => file.attribute === attribute)) {
+        stream.resume();
+        return fail(rules.error(
+          `Only one file can be attached to ${attribute}`
+        ));
+      }
+
+      const file = {
+        attribute,
+        stream,
+        path: temporaryPath(dest, filename, mimeType),
+        fieldname: name,
+        originalname: filename,
+        mimetype: normalize(mimeType) || 'application/octet-stream',
+        size: 0
+      };
+      files.push(file);
+
+      let head = Buffer.alloc(0);
+      let checked = false;
+
+      const check = complete => {
+        let message = rules.checkSize(file.size, complete);
+        if (!message && !checked && (complete || head.length >= SNIFF_BYTES)) {
+          checked = true;
+          message = rules.checkType(sniffBuffer(head, file.mimetype));
+        }
+        if (message) fail(rules.error(message));
+        return !message;
+      };
+
+      const output = file.output = fs.createWriteStream(file.path);
+
+      writes.push(new Promise(resolve => {
+        output.on('close', resolve);
+        output.on('error', err => {
+          fail(err);
+          resolve();
+        });
+      }));
+
+      stream
+        .on('data', chunk => {
+          file.size += chunk.length;
+          if (!checked) head = Buffer.concat([head, chunk]);
+          check(false);
+        })
+        .on('end', () => check(true))
+        .on('error', fail)
+        .pipe(output);
+    });
+
+    ['partsLimit', 'filesLimit', 'fieldsLimit'].forEach(event => {
+      parser.on(event, () => fail(new Error(
+        `Upload exceeds ${event.replace('Limit', '')} limit`
+      )));
+    });
+
+    parser.on('error', fail);
+
+    parser.on('close', () => {
+      Promise.all(writes).then(() => {
+        if (failed) return;
+
+        Object.keys(crops).forEach(name => {
+          const attribute = cropOf(name);
+          let crop = crops[name];
+
+          if (typeof crop === 'string') {
+            try {
+              crop = JSON.parse(crop);
+            } catch (err) {
+              return fail(fields[attribute].error(`Malformed ${name}`));
+            }
+          }
+
+          body[name] = crop;
+        });
+
+        files.forEach(file => {
+          const { attribute, stream, output, ...value } = file;
+          if (!fields[attribute].multiple) {
+            body[attribute] = value;
+            return;
+          }
+          body[attribute] = (body[attribute] || []).concat(value);
+        });
+
+        if (!failed) resolve(body);
+      });
+    });
+
+    req.pipe(parser);
+  });
+}
+
+function remove(path) {
+  return new Promise(resolve => fs.unlink(path, () => resolve()));
+}
+
+/** Sets value at keys of obj, creating arrays for numeric keys, ex.
+ * setPath(undefined, ['0', 'x'], '0.1') is [{ x: '0.1' }]
+ * @param {Object|Array} [obj]
+ * @param {Array<String>} keys
+ * @param {*} value
+ * @return {Object|Array}
+ */
+
+function setPath(obj, keys, value) {
+  const [key, ...rest] = keys;
+  const target = obj || (/^\d+$/.test(key) ? [] : {});
+  target[key] = rest.length ? setPath(target[key], rest, value) : value;
+  return target;
+}
+
+/** Returns random path in dest keeping file's extension, which is stored
+ * file's name later
+ * @param {String} dest
+ * @param {String} filename - client's file name
+ * @param {String} mimetype - declared MIME type
+ * @return {String}
+ */
+
+function temporaryPath(dest, filename, mimetype) {
+  const match = filename.match(/\.([a-z0-9]{1,10})$/i);
+  const ext = match ? match[1].toLowerCase() : extension(normalize(mimetype));
+  return `${dest}/${crypto.randomBytes(8).toString('hex')}.${ext}`;
+}
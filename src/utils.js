@@ -0,0 +1,94 @@
+/** @module utils */
+
+/** @desc
+ * Small helpers shared between SequelizeFile and its storage drivers
+ */
+
+import { typeCheck } from 'type-check';
+
+/** Returns entity's internal [[Class]], ex. 'Object', 'Null', 'RegExp'
+ * @param {*} entity
+ * @return {String}
+ */
+
+export function typeOf(entity) {
+  return Object.prototype
+    .toString
+    .call(entity)
+    .match(/(\w+)\]/)[1]
+}
+
+/** Returns human-readable type description for error messages
+ * @param {*} entity
+ * @return {String}
+ */
+
+export function getType(entity) {
+  const type = typeOf(entity)
+  return type === 'Object' ? `[object Object] { ${
+    Object
+    .keys(entity)
+    .map(key => `${key}: ${typeOf(entity[key])}`)
+    .join(',\n')
+  } }` : type;
+}
+
+/** Throws TypeError if obj's only value doesn't match type-check's type
+ * @param {Object} obj - { [name]: value }
+ * @param {String} type - type-check's type string
+ * @return {Boolean}
+ */
+
+export function validateType(obj, type) {
+  const name = Object.keys(obj)[0];
+  const entity = obj[name];
+  let valid = typeCheck(type, entity);
+  if (!valid) {
+    throw new TypeError(
+      `Expected ${name} to be of type ${type},` +
+      ` but got ${getType(entity)}`
+    );
+  }
+  return valid;
+}
+
+/** Encodes storage key for urls segment by segment, so that characters
+ * like #, ? and % in file names don't break them
+ * @param {String} key, ex. /uploads/docs/1/Q3 #2.txt
+ * @return {String} ex. /uploads/docs/1/Q3%20%232.txt
+ */
+
+export function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+/** Maps items with async fn, running at most limit calls at once
+ * @param {Array} items
+ * @param {Number} limit
+ * @param {function(item: *, index: Number): Promise} fn
+ * @return {Promise<Array, Error>} promise which resolves with results in
+ *                  items' order
+ */
+
+export function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = () => {
+    if (next >= items.length) return Promise.resolve();
+    const index = next++;
+    return Promise.resolve()
+      .then(() => fn(items[index], index))
+      .then(result => {
+        results[index] = result;
+        return worker();
+      });
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(limit, 1), items.length); i++) {
+    workers.push(worker());
+  }
+
+  return Promise.all(workers).then(() => results);
+}
@@ -7,10 +7,19 @@ import {
 
 import fs from 'fs';
 import path from 'path';
+import os from 'os';
+import http from 'http';
 import { exec } from 'child_process';
 
 import sequelize from './sequelize';
-import SequelizeFileField, { pathWithSize, getSize } from '../src/SequelizeFile';
+import SequelizeFileField, {
+  pathWithSize,
+  getSize,
+  LocalStorage,
+  MemoryQueue,
+  Sharp
+} from '../src/SequelizeFile';
+import { getAttributes, findByPk } from '../src/compat';
 
 let Model;
 
@@ -21,6 +30,8 @@ const DEFAULT_OPTIONS = {
 
 const TMP_FOLDER = 'public/uploads/sequelize-file-field-tmp';
 const TEST_IMAGE_PATH = path.resolve(__dirname, 'Lenna.png');
+const ROTATED_IMAGE_PATH = path.resolve(__dirname, 'Rotated.jpg');
+const TEST_SCRIPT_PATH = path.resolve(__dirname, 'sequelize.js');
 
 const FILE = {
   path: `${TMP_FOLDER}/Lenna.png`,
@@ -28,10 +39,15 @@ const FILE = {
 };
 
 const BAD_FILE = {
-  path: `${TMP_FOLDER}/Lenna.png`,
+  path: `${TMP_FOLDER}/bad.js`,
   mimetype: 'application/javascript'
 };
 
+const SPOOFED_FILE = {
+  path: `${TMP_FOLDER}/spoofed.png`,
+  mimetype: 'image/png'
+};
+
 const URL = "http://ski-o.ru/img/photo/120316-1.jpg";
 const URL2 = "http://ski-o.ru/img/photo/120316-2.jpg";
 const BAD_URL = "http://ski-o.ru";
@@ -47,6 +63,15 @@ function fileExists(path) {
   });
 }
 
+/* Files left under models' uploads, ex. by rejected attachments */
+function uploadedFiles(dir = 'public/uploads/models') {
+  if (!fs.existsSync(dir)) return [];
+  return [].concat(...fs.readdirSync(dir).map(name => {
+    const path = `${dir}/${name}`;
+    return fs.statSync(path).isDirectory() ? uploadedFiles(path) : [path];
+  }));
+}
+
 describe('SequelizeFileField', () => {
 
 
@@ -68,13 +93,13 @@ describe('SequelizeFileField', () => {
     it('should add STRING and VIRTUAL fields and set ' +
        'getter on virtual', () => {
 
-      expect(Model.attributes.pic)
+      expect(getAttributes(Model).pic)
       .toBeDefined();
 
-      expect(typeof Model.attributes.pic.get)
+      expect(typeof getAttributes(Model).pic.get)
       .toBe('function');
 
-      expect(Model.attributes.picPath)
+      expect(getAttributes(Model).picPath)
       .toBeDefined();
     });
 
@@ -92,7 +117,7 @@ describe('SequelizeFileField', () => {
 
       addTo(Model);
 
-      expect(Model.attributes.picCrop)
+      expect(getAttributes(Model).picCrop)
       .toBeDefined();
     });
 
@@ -172,7 +197,7 @@ describe('SequelizeFileField', () => {
         it('should set file from object', () => {
           return Model
             .create({ pic: FILE })
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
               expect(typeof instance.pic).toBe('string');
               return fileExists(instance.pic)
@@ -202,7 +227,7 @@ describe('SequelizeFileField', () => {
           return Model
             .create({ name: 'Jim', pic: FILE })
             .then(instance => instance.update({ pic: URL }))
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
               expect(typeof instance.pic).toBe('string');
               return fileExists(instance.pic)
@@ -216,7 +241,7 @@ describe('SequelizeFileField', () => {
           return Model
             .create({ name: 'Putin' })
             .then(instance => instance.update({ pic: FILE }))
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
 
               expect(typeof instance.pic).toBe('string');
@@ -226,7 +251,7 @@ describe('SequelizeFileField', () => {
                 done();
               });
             })
-            .catch(err => Promise.reject(err))
+            .catch(done.fail)
             ;
         });
 
@@ -235,7 +260,7 @@ describe('SequelizeFileField', () => {
           return Model
             .create({ pic: URL })
             .then(instance => instance.update({ pic: FILE }))
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
 
               expect(typeof instance.pic).toBe('string');
@@ -246,7 +271,7 @@ describe('SequelizeFileField', () => {
                 done();
               });
             })
-            .catch(err => Promise.reject(err))
+            .catch(done.fail)
             ;
         });
 
@@ -255,7 +280,7 @@ describe('SequelizeFileField', () => {
           return Model
             .create({ pic: URL })
             .then(instance => instance.update({ pic: URL2 }))
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
 
               expect(typeof instance.pic).toBe('string');
@@ -266,14 +291,14 @@ describe('SequelizeFileField', () => {
                 done();
               });
             })
-            .catch(err => Promise.reject(err))
+            .catch(done.fail)
             ;
         });
 
         it('shouldn\'t cleanup when cleanup is falsy', done => {
           Model
             .create({ pic: FILE })
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
               const oldPic = instance.pic;
               console.log('oldPic', oldPic);
@@ -290,7 +315,7 @@ describe('SequelizeFileField', () => {
                     });
                   });
                 })
-                .catch(err => Promise.reject(err))
+                .catch(done.fail)
                 ;
             });
         });
@@ -310,11 +335,11 @@ describe('SequelizeFileField', () => {
 
           return Model
             .create({ pic: FILE })
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
               const oldPic = instance.pic;
               instance.update({ pic: URL })
-                .then(({ id }) => Model.findById(id))
+                .then(({ id }) => findByPk(Model, id))
                 .then(newInstance => {
                   const newPic = instance.pic;
                   fs.stat('public' + newPic, (err, stat) => {
@@ -326,7 +351,7 @@ describe('SequelizeFileField', () => {
                     });
                   });
                 })
-                .catch(err => Promise.reject(err))
+                .catch(done.fail)
                 ;
             });
         });
@@ -335,13 +360,13 @@ describe('SequelizeFileField', () => {
           return Model
             .create({ pic: FILE })
             .then()
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
               return fileExists(instance.pic)
               .then(exists => {
                 instance.pic = null;
                 return instance.save()
-                  .then(({ id }) => Model.findById(id))
+                  .then(({ id }) => findByPk(Model, id))
                   .then(instance => {
                     expect(instance.pic).toBeFalsy();
                   })
@@ -355,7 +380,7 @@ describe('SequelizeFileField', () => {
         it('shouldn\'t do anything if attribute isn\'t set', done => {
           return Model
             .create({ pic: FILE })
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
               return instance.update({ name: 'Tina' })
             })
@@ -373,7 +398,7 @@ describe('SequelizeFileField', () => {
            'when file is url', () => {
           return Model
             .create({ pic: FILE })
-            .then(({ id }) => Model.findById(id))
+            .then(({ id }) => findByPk(Model, id))
             .then(instance => {
               return instance.update({ pic: BAD_URL })
             })
@@ -392,10 +417,10 @@ describe('SequelizeFileField', () => {
            'when file is object', () => {
            return Model
              .create({ pic: FILE })
-             .then(({ id }) => Model.findById(id))
+             .then(({ id }) => findByPk(Model, id))
              .then(instance => {
                return new Promise((resolve, reject) => {
-                 exec(`cp ${TEST_IMAGE_PATH} ${FILE.path}`, err => {
+                 exec(`cp ${TEST_SCRIPT_PATH} ${BAD_FILE.path}`, err => {
                    resolve();
                  });
                })
@@ -412,12 +437,106 @@ describe('SequelizeFileField', () => {
              });
         });
 
+        it('should check MIME type detected from contents instead of ' +
+           'declared one', () => {
+           return new Promise(resolve => {
+               exec(`cp ${TEST_SCRIPT_PATH} ${SPOOFED_FILE.path}`, () => resolve());
+             })
+             .then(() => Model.create({ pic: SPOOFED_FILE }))
+             .then(instance => {
+               throw "Promise resolved when it shoudn't";
+             })
+             .catch(error => {
+               expect(error).toBeInstanceOf(ValidationError);
+               expect(error.errors[0].path).toBe('pic');
+               expect(uploadedFiles()).toEqual([]);
+               return Model.create({
+                 pic: { ...FILE, mimetype: 'application/octet-stream' }
+               });
+             })
+             .then(({ id }) => findByPk(Model, id))
+             .then(instance => fileExists(instance.pic));
+        });
+
+        it('should reject declared MIME type mismatch if ' +
+           'rejectMimetypeMismatch is true', () => {
+           const { addTo }
+             = new SequelizeFileField({
+               ...DEFAULT_OPTIONS,
+               rejectMimetypeMismatch: true,
+               mimetypeMismatchMessage: 'Not a PNG'
+             });
+
+           let Model = sequelize.define('model', {
+             name: STRING,
+           });
+
+           addTo(Model);
+
+           return Model
+             .create({ pic: { ...FILE, mimetype: 'image/jpeg' } })
+             .then(instance => {
+               throw "Promise resolved when it shoudn't";
+             })
+             .catch(error => {
+               expect(error).toBeInstanceOf(ValidationError);
+               expect(error.errors[0].path).toBe('pic');
+               expect(error.errors[0].message).toBe('Not a PNG');
+               expect(uploadedFiles()).toEqual([]);
+             });
+        });
+
+        it('shouldn\'t trust declared image types of undetected ' +
+           'contents', () => {
+           const html = '<html><script>alert(1)</script></html>';
+
+           return Promise.all(['image/svg+xml', 'image/x-whatever']
+             .map(mimetype => Model
+               .create({ pic: { buffer: Buffer.from(html), mimetype } })
+               .then(() => {
+                 throw "Promise resolved when it shoudn't";
+               }, error => {
+                 expect(error).toBeInstanceOf(ValidationError);
+                 expect(error.errors[0].path).toBe('pic');
+               })
+             ))
+             .then(() => expect(uploadedFiles()).toEqual([]));
+        });
+
+        it('should store file with extension of detected type', () => {
+           const { addTo }
+             = new SequelizeFileField({
+               ...DEFAULT_OPTIONS,
+               mimetype: /text/
+             });
+
+           let Model = sequelize.define('model', {
+             name: STRING,
+           });
+
+           addTo(Model);
+
+           return sequelize.sync({ force: true })
+             .then(() => Model.create({
+               pic: {
+                 buffer: Buffer.from('<html></html>'),
+                 mimetype: 'text/plain',
+                 originalname: 'page.html'
+               }
+             }))
+             .then(({ id }) => findByPk(Model, id))
+             .then(instance => {
+               expect(instance.pic).toMatch(/\/page\.txt$/);
+               return fileExists(instance.pic);
+             });
+        });
+
         it('should throw sequelize error when file is set by' +
            'url and can\'t be downloaded', () => {
            let inst;
            return Model
              .create({ pic: FILE })
-             .then(({ id }) => Model.findById(id))
+             .then(({ id }) => findByPk(Model, id))
              .then(instance => {
                inst = instance;
                return instance.update({ pic: NOT_FOUND_URL })
@@ -440,6 +559,20 @@ describe('SequelizeFileField', () => {
                expect(error.errors[0].path).toBe('pic');
              })
           });
+
+        it('should throw sequelize error when url points to private ' +
+           'address', () => {
+           return Model
+             .create({ pic: 'http://169.254.169.254/latest/meta-data' })
+             .then(instance => {
+               throw "Promise resolved when it shoudn't";
+             })
+             .catch(error => {
+               expect(error).toBeInstanceOf(ValidationError);
+               expect(error.errors[0].path).toBe('pic');
+               expect(error.errors[0].message).toMatch('private address');
+             });
+          });
       });
     });
 
@@ -467,7 +600,7 @@ describe('SequelizeFileField', () => {
         return Model
           .create({ pic: URL })
           .then(({ id }) => {
-            return Model.findById(id);
+            return findByPk(Model, id);
           })
           .then(instance => {
             expect(typeof instance.picPath).toBe('string');
@@ -531,7 +664,7 @@ describe('SequelizeFileField', () => {
             }
           })
           .then(({ id }) => {
-            return Model.findById(id);
+            return findByPk(Model, id);
           })
           .then(instance => {
             expect(typeof instance.picPath).toBe('string');
@@ -590,7 +723,7 @@ describe('SequelizeFileField', () => {
             pic: URL
           })
           .then(({ id }) => {
-            return Model.findById(id);
+            return findByPk(Model, id);
           })
           .then(instance => {
             expect(typeof instance.picPath).toBe('string');
@@ -628,6 +761,181 @@ describe('SequelizeFileField', () => {
 
       });
 
+      it('should write sizes in their format', () => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            sizes: {
+              small: { size: 64, format: 'webp', quality: 80 },
+              big: { size: 'x300', format: 'jpeg' },
+              same: 32
+            }
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+        return Model
+          .create({ pic: FILE })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(instance.picPath).toMatch(/\.png$/);
+            expect(instance.pic).toEqual({
+              original: instance.picPath,
+              small: pathWithSize(instance.picPath, 'small', 'webp'),
+              big: pathWithSize(instance.picPath, 'big', 'jpg'),
+              same: pathWithSize(instance.picPath, 'same')
+            });
+            return Promise.all([
+              getSize('public' + instance.pic.small),
+              getSize('public' + instance.pic.big),
+              fileExists(instance.pic.same)
+            ]);
+          })
+          .then(([small, big]) => {
+            expect(small.width).toBe(64);
+            expect(big.height).toBe(300);
+          });
+      });
+
+      it('should resize with object-form sizes', () => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            sizes: {
+              cover: { width: 100, height: 50, gravity: 'north' },
+              contain: {
+                width: 100,
+                height: 50,
+                fit: 'contain',
+                background: 'white'
+              },
+              inside: { width: 100, height: 50, fit: 'inside' },
+              fill: { width: 100, height: 50, fit: 'fill' },
+              huge: { width: 1024, withoutEnlargement: true }
+            }
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+        return Model
+          .create({ pic: FILE })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => Promise.all(
+            ['cover', 'contain', 'inside', 'fill', 'huge'].map(name => {
+              return getSize('public' + instance.pic[name]);
+            })
+          ))
+          .then(([cover, contain, inside, fill, huge]) => {
+            expect(cover).toEqual({ width: 100, height: 50 });
+            expect(contain).toEqual({ width: 100, height: 50 });
+            expect(inside).toEqual({ width: 50, height: 50 });
+            expect(fill).toEqual({ width: 100, height: 50 });
+            expect(huge).toEqual({ width: 512, height: 512 });
+          });
+      });
+
+      it('should validate object-form sizes', () => {
+        const define = sizes => () => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes
+        });
+
+        expect(define({ small: { width: '64' } })).toThrow(TypeError);
+        expect(define({ small: { widht: 64 } })).toThrow(TypeError);
+        expect(define({ small: { fit: 'cover' } })).toThrow(/width or height/);
+        expect(define({ small: { width: 64, fit: 'crop' } }))
+          .toThrow(/Unknown fit/);
+        expect(define({ small: { width: 64, gravity: 'top' } }))
+          .toThrow(/Unknown gravity/);
+        expect(define({ small: { size: 64, width: 64 } }))
+          .toThrow(/either size or width/);
+      });
+
+      it('should throw if size\'s format is unknown', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: { size: 64, format: 'bmp' } }
+        })).toThrow(/Unknown format/);
+      });
+
+      it('should throw if size\'s geometry is unknown', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: '100x100+10+10' }
+        })).toThrow(/Unknown geometry/);
+      });
+
+      it('should process images with sharp', () => {
+        const imageProcessor = new Sharp();
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            imageProcessor,
+            sizes: {
+              small: 64,
+              big: { size: 'x300', format: 'webp' },
+              cover: { width: 100, height: 50 }
+            },
+            crop: true
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+        return Model
+          .create({
+            pic: FILE,
+            picCrop: { x: 0, y: 0, width: 0.5, height: 0.25 }
+          })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => Promise.all(
+            ['small', 'big', 'cover'].map(name => {
+              return imageProcessor.probe('public' + instance.pic[name]);
+            })
+          ))
+          .then(([small, big, cover]) => {
+            expect(small).toMatchObject({ width: 64, height: 32 });
+            expect(big).toMatchObject({ width: 600, height: 300 });
+            expect(cover).toMatchObject({ width: 100, height: 50 });
+          });
+      });
+
+      it('should throw if image processor is incomplete', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          imageProcessor: { probe() {}, load() {} }
+        })).toThrow(TypeError);
+      });
+
+      it('should throw if image processor can\'t orient', () => {
+        const processor = {
+          probe() {},
+          load() {},
+          crop() {},
+          resize() {},
+          encode() {}
+        };
+
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          imageProcessor: processor,
+          autoOrient: true
+        })).toThrow(/orient\(\)/);
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          imageProcessor: processor
+        })).not.toThrow();
+      });
+
+
     });
 
 
@@ -688,5 +996,1995 @@ describe('SequelizeFileField', () => {
       });
     });
 
+
+    describe('orientation and metadata', () => {
+      const ROTATED_FILE = {
+        path: `${TMP_FOLDER}/Rotated.jpg`,
+        mimetype: 'image/jpeg'
+      };
+
+      let imageProcessor;
+
+      beforeAll(() => {
+        imageProcessor = new Sharp();
+      });
+
+      beforeEach(() => new Promise((resolve, reject) => {
+        exec(`cp ${ROTATED_IMAGE_PATH} ${ROTATED_FILE.path}`, err => {
+          if (err) return reject(err);
+          resolve();
+        });
+      }));
+
+      it('should orient images and crop displayed dimensions', () => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            imageProcessor,
+            autoOrient: true,
+            crop: true,
+            sizes: { small: 50 }
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+        return Model
+          .create({
+            pic: ROTATED_FILE,
+            picCrop: { x: 0, y: 0, width: 1, height: 0.5 }
+          })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => Promise.all([
+            imageProcessor.probe('public' + instance.pic.original),
+            imageProcessor.probe('public' + instance.pic.small)
+          ]))
+          .then(([original, small]) => {
+            expect(original.width).toBe(100);
+            expect(original.height).toBe(200);
+            expect(original.orientation).toBeUndefined();
+            expect(small.width).toBe(50);
+            expect(small.height).toBe(50);
+          });
+      });
+
+      it('should strip metadata of original and sizes', () => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            imageProcessor,
+            stripMetadata: true,
+            sizes: { small: 50 }
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+        return Model
+          .create({ pic: ROTATED_FILE })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            ['original', 'small'].forEach(name => {
+              const data = fs.readFileSync('public' + instance.pic[name]);
+              expect(data.indexOf('Exif')).toBe(-1);
+              expect(data.indexOf('Phone')).toBe(-1);
+            });
+            return imageProcessor.probe('public' + instance.pic.original);
+          })
+          .then(original => {
+            expect(original.width).toBe(200);
+            expect(original.height).toBe(100);
+            expect(original.orientation).toBeUndefined();
+          });
+      });
+
+      it('should keep metadata by default', () => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            imageProcessor
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+        return Model
+          .create({ pic: ROTATED_FILE })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => imageProcessor.probe('public' + instance.pic))
+          .then(original => {
+            expect(original.width).toBe(200);
+            expect(original.orientation).toBe(6);
+          });
+      });
+
+    });
+
+
+    describe('size and dimension limits', () => {
+
+      function expectRejected(options, message) {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            ...options
+          });
+
+        let Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+
+        return Model
+          .create({ pic: FILE })
+          .then(instance => {
+            throw "Promise resolved when it shoudn't";
+          })
+          .catch(error => {
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.errors.length).toBe(1);
+            expect(error.errors[0].path).toBe('pic');
+            expect(error.errors[0].message).toMatch(message);
+            expect(uploadedFiles()).toEqual([]);
+          });
+      }
+
+      it('should throw if min limit is greater than max', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          minWidth: 200,
+          maxWidth: 100
+        })).toThrow();
+      });
+
+      it('should throw if dimension limits are set on non-image mimetype', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          mimetype: /pdf/,
+          maxWidth: 100
+        })).toThrow();
+      });
+
+      it('should reject files larger than maxSize', () => {
+        return expectRejected({ maxSize: 1024 }, 'too large');
+      });
+
+      it('should reject files smaller than minSize', () => {
+        return expectRejected({ minSize: 10 * 1024 * 1024 }, 'too small');
+      });
+
+      it('should reject images out of width and height limits', () => {
+        return expectRejected({ minWidth: 1024 }, 'too narrow')
+          .then(() => expectRejected({ maxWidth: 256 }, 'too wide'))
+          .then(() => expectRejected({ minHeight: 1024 }, 'too short'))
+          .then(() => expectRejected({ maxHeight: 256 }, 'too tall'));
+      });
+
+      it('should reject images out of aspect ratio range', () => {
+        return expectRejected({ minAspectRatio: 16 / 9 }, 'aspect ratio')
+          .then(() => expectRejected({ maxAspectRatio: 0.5 }, 'aspect ratio'));
+      });
+
+      it('should accept files within limits', () => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            maxSize: 10 * 1024 * 1024,
+            minWidth: 512,
+            maxHeight: 512,
+            minAspectRatio: 1,
+            maxAspectRatio: 1
+          });
+
+        let Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+
+        return Model
+          .create({ pic: FILE })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => fileExists(instance.pic));
+      });
+
+    });
+
+
+    describe('buffers, streams and data URIs', () => {
+      beforeAll(() => {
+        const { addTo }
+          = new SequelizeFileField(DEFAULT_OPTIONS);
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      function expectAttached(pic) {
+        return Model
+          .create({ pic })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(typeof instance.pic).toBe('string');
+            expect(instance.pic).toMatch(/\.png$/);
+            return fileExists(instance.pic);
+          });
+      }
+
+      it('should set file from Buffer', () => {
+        return expectAttached(fs.readFileSync(TEST_IMAGE_PATH));
+      });
+
+      it('should set file from readable stream', () => {
+        return expectAttached(fs.createReadStream(TEST_IMAGE_PATH));
+      });
+
+      it('should set file from base64 data URI', () => {
+        return expectAttached(
+          'data:image/png;base64,' +
+          fs.readFileSync(TEST_IMAGE_PATH).toString('base64')
+        );
+      });
+
+      it('should set file from multer-style object with buffer', () => {
+        return Model
+          .create({
+            pic: {
+              buffer: fs.readFileSync(TEST_IMAGE_PATH),
+              mimetype: 'image/png',
+              originalname: 'Lenna.png'
+            }
+          })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(instance.pic).toMatch('Lenna.png');
+            return fileExists(instance.pic);
+          });
+      });
+
+      it('should sanitize original name and encode it in url', () => {
+        return Model
+          .create({
+            pic: {
+              buffer: fs.readFileSync(TEST_IMAGE_PATH),
+              mimetype: 'image/png',
+              originalname: 'Q3 report #2 (50%).png'
+            }
+          })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(instance.pic).toMatch(/\/Q3%20report%20_2%20\(50_\)\.png$/);
+            return fileExists(decodeURIComponent(instance.pic));
+          });
+      });
+
+      it('should reject streams larger than maxSize while reading', () => {
+        const { addTo } = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          maxSize: 1024
+        });
+
+        const Limited = sequelize.define('limited', {});
+        addTo(Limited);
+
+        const stream = fs.createReadStream(TEST_IMAGE_PATH, {
+          highWaterMark: 512
+        });
+        const temporary = () => fs.readdirSync(os.tmpdir())
+          .filter(name => /^sequelize-file-/.test(name));
+        const before = temporary();
+
+        return Limited.sync({ force: true })
+          .then(() => Limited.create({ pic: stream }))
+          .then(() => {
+            throw "Promise resolved when it shoudn't";
+          })
+          .catch(error => {
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.errors[0].message).toMatch('too large');
+            expect(stream.bytesRead).toBeLessThan(
+              fs.statSync(TEST_IMAGE_PATH).size
+            );
+            expect(temporary()).toEqual(before);
+          });
+      });
+
+      it('should throw sequelize error for wrong data URI\'s mimetype', () => {
+        return Model
+          .create({ pic: 'data:text/plain,hello' })
+          .then(() => {
+            throw "Promise resolved when it shoudn't";
+          })
+          .catch(error => {
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.errors[0].path).toBe('pic');
+          });
+      });
+
+    });
+
+
+    describe('multiple', () => {
+      const FILE2 = {
+        path: `${TMP_FOLDER}/Lenna2.png`,
+        mimetype: 'image/png'
+      };
+
+      beforeAll(() => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            virtualAttribute: 'pics',
+            multiple: true,
+            cleanup: true,
+            sizes: { small: 64 }
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      beforeEach(() => new Promise((resolve, reject) => {
+        exec(`cp ${TEST_IMAGE_PATH} ${FILE2.path}`, err => {
+          if (err) return reject(err);
+          resolve();
+        });
+      }));
+
+      it('should attach array of files and get array of sizes', () => {
+        return Model
+          .create({ pics: [FILE, FILE2] })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            const paths = JSON.parse(instance.picsPath);
+            expect(paths.length).toBe(2);
+            expect(paths[0]).not.toBe(paths[1]);
+            expect(instance.pics).toEqual(paths.map(path => ({
+              original: path,
+              small: pathWithSize(path, 'small')
+            })));
+            return Promise.all(paths.map(path => {
+              return fileExists(pathWithSize(path, 'small'));
+            }));
+          });
+      });
+
+      it('should reorder and remove files by their paths', () => {
+        let paths;
+        return Model
+          .create({ pics: [FILE, FILE2] })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            paths = JSON.parse(instance.picsPath);
+            return instance.update({ pics: [instance.pics[1]] });
+          })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(JSON.parse(instance.picsPath)).toEqual([paths[1]]);
+            return fileExists(paths[0])
+              .then(() => {
+                throw "Removed file wasn't cleaned up";
+              }, err => {
+                expect(err.code).toBe('ENOENT');
+                return fileExists(paths[1]);
+              });
+          });
+      });
+
+      it('should add new files next to attached ones', () => {
+        return Model
+          .create({ pics: [FILE] })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            return instance.update({ pics: [FILE2, ...instance.pics] });
+          })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(instance.pics.length).toBe(2);
+            expect(instance.pics[0].original).toMatch('Lenna2');
+            expect(instance.pics[1].original).not.toMatch('Lenna2');
+          });
+      });
+
+      it('should return empty array when nothing is attached', () => {
+        return Model
+          .create({ name: 'Tina' })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => expect(instance.pics).toEqual([]));
+      });
+
+      it('should remove stored files when any other file is rejected', () => {
+        const { addTo } = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          virtualAttribute: 'pics',
+          multiple: true
+        });
+
+        const Gallery = sequelize.define('gallery', {
+          name: STRING
+        });
+
+        addTo(Gallery);
+
+        return Gallery.sync({ force: true })
+          .then(() => Gallery.create({ name: 'Tina' }))
+          .then(instance => {
+            return instance.update({
+              pics: [FILE, Buffer.from('not an image')]
+            });
+          })
+          .then(() => {
+            throw 'Gallery with a bad file was saved';
+          }, err => {
+            expect(err.name).toBe('SequelizeValidationError');
+            expect(uploadedFiles('public/uploads/galleries')).toEqual([]);
+          });
+      });
+
+    });
+
+
+    describe('transactions', () => {
+      beforeAll(() => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            cleanup: true
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      function rollback(fn) {
+        let result;
+        return sequelize.transaction(transaction => {
+            return fn(transaction)
+              .then(value => {
+                result = value;
+                throw new Error('Rollback');
+              });
+          })
+          .catch(err => {
+            if (err.message !== 'Rollback') throw err;
+            return result;
+          });
+      }
+
+      it('should remove new files when transaction is rolled back', () => {
+        return rollback(transaction => {
+            return Model.create({ pic: FILE }, { transaction })
+              .then(instance => {
+                return fileExists(instance.pic).then(() => instance.pic);
+              });
+          })
+          .then(pic => fileExists(pic))
+          .then(() => {
+            throw "Staged file wasn't removed";
+          }, err => expect(err.code).toBe('ENOENT'));
+      });
+
+      it('should keep old files until transaction is committed', () => {
+        let oldPic;
+        return Model
+          .create({ pic: FILE })
+          .then(instance => {
+            oldPic = instance.pic;
+            return rollback(transaction => {
+              return instance.update({ pic: URL }, { transaction });
+            });
+          })
+          .then(() => fileExists(oldPic))
+          .then(() => Model.findOne({ where: { picPath: oldPic } }))
+          .then(instance => {
+            return sequelize.transaction(transaction => {
+              return instance.update({ pic: URL }, { transaction })
+                .then(() => fileExists(oldPic));
+            });
+          })
+          .then(() => fileExists(oldPic))
+          .then(() => {
+            throw "Old file wasn't deleted after commit";
+          }, err => expect(err.code).toBe('ENOENT'));
+      });
+
+      it('shouldn\'t overwrite old file with replacement of the same name',
+        () => {
+          const original = fs.readFileSync(TEST_IMAGE_PATH);
+          let oldPic;
+          return Model
+            .create({ pic: FILE })
+            .then(instance => {
+              oldPic = instance.pic;
+              fs.writeFileSync(
+                FILE.path,
+                Buffer.concat([original, Buffer.from('replacement')])
+              );
+              return rollback(transaction => {
+                return instance.update({ pic: FILE }, { transaction });
+              });
+            })
+            .then(() => {
+              expect(fs.readFileSync('public' + oldPic)).toEqual(original);
+            });
+        });
+
+    });
+
+
+    describe('garbage collection', () => {
+      let definition;
+
+      beforeAll(() => {
+        definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 }
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        definition.addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      function createOrphan() {
+        const orphan = '/uploads/models/pics/999/orphan.png';
+        return new Promise((resolve, reject) => {
+          exec(
+            `mkdir -p public/uploads/models/pics/999 && ` +
+            `cp ${TEST_IMAGE_PATH} public${orphan}`,
+            err => {
+              if (err) return reject(err);
+              resolve(orphan);
+            }
+          );
+        });
+      }
+
+      it('should report orphans without deleting them in dry run', () => {
+        let instance;
+        return Model
+          .create({ pic: FILE })
+          .then(created => {
+            instance = created;
+            return createOrphan();
+          })
+          .then(orphan => {
+            return definition
+              .collectGarbage({ dryRun: true, olderThan: 0 })
+              .then(({ orphans, deleted }) => {
+                expect(orphans).toEqual([orphan]);
+                expect(deleted).toEqual([]);
+                return fileExists(orphan);
+              });
+          })
+          .then(() => fileExists(instance.pic.small));
+      });
+
+      it('should delete orphans older than given age', () => {
+        let orphan;
+        return createOrphan()
+          .then(key => {
+            orphan = key;
+            return definition.collectGarbage();
+          })
+          .then(({ orphans }) => {
+            expect(orphans).toEqual([]);
+            return definition.collectGarbage({ olderThan: 0 });
+          })
+          .then(({ deleted }) => {
+            expect(deleted).toEqual([orphan]);
+            return fileExists(orphan);
+          })
+          .then(() => {
+            throw "Orphan wasn't deleted";
+          }, err => expect(err.code).toBe('ENOENT'));
+      });
+
+      it('should collect garbage for all definitions', () => {
+        return createOrphan()
+          .then(orphan => {
+            return SequelizeFileField
+              .collectGarbage({ dryRun: true, olderThan: 0 })
+              .then(report => {
+                const entry = report.filter(entry => {
+                  return entry.prefix === '/uploads/models/pics';
+                })[0];
+                expect(entry.orphans).toContain(orphan);
+              });
+          });
+      });
+
+      it('should report errors of definitions and collect the others', () => {
+        const storage = new LocalStorage();
+        storage.list = () => Promise.reject(new Error('Listing failed'));
+
+        const { addTo } = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          storage
+        });
+
+        addTo(sequelize.define('broken', {
+          name: STRING
+        }));
+
+        return createOrphan()
+          .then(orphan => {
+            return SequelizeFileField
+              .collectGarbage({ dryRun: true, olderThan: 0 })
+              .then(report => {
+                const byModel = name => report.filter(entry => {
+                  return entry.model === name;
+                })[0];
+                expect(byModel('broken').error.message).toBe('Listing failed');
+                expect(byModel('model').error).toBeUndefined();
+                expect(byModel('model').orphans).toContain(orphan);
+              });
+          });
+      });
+
+    });
+
+
+    describe('reprocess', () => {
+
+      it('should render new sizes and remove stale ones', () => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            sizes: { small: 64, big: 300 }
+          });
+
+        let Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 32, medium: 128 }
+        });
+
+        let picPath;
+        const progress = [];
+
+        return sequelize.sync({ force: true })
+        .then(() => Model.create({ pic: FILE }))
+        .then(instance => {
+          picPath = instance.picPath;
+
+          let Model = sequelize.define('model', {
+            name: STRING,
+          });
+
+          definition.addTo(Model);
+
+          return definition.reprocess(Model, {
+            onProgress: state => progress.push(state)
+          });
+        })
+        .then(({ total, processed, failed }) => {
+          expect(total).toBe(1);
+          expect(processed).toBe(1);
+          expect(failed).toEqual([]);
+          expect(progress.length).toBe(1);
+          return getSize('public' + pathWithSize(picPath, 'small'));
+        })
+        .then(({ width }) => {
+          expect(width).toBe(32);
+          return fileExists(pathWithSize(picPath, 'medium'));
+        })
+        .then(() => fileExists(pathWithSize(picPath, 'big')))
+        .then(() => {
+          throw "Stale size wasn't removed";
+        }, err => expect(err.code).toBe('ENOENT'));
+      });
+
+      it('should start after given primary key', () => {
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 }
+        });
+
+        let Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        definition.addTo(Model);
+
+        let first;
+
+        return sequelize.sync({ force: true })
+        .then(() => Model.create({ pic: FILE }))
+        .then(instance => {
+          first = instance;
+          return new Promise(resolve => {
+            exec(`cp ${TEST_IMAGE_PATH} ${FILE.path}`, () => resolve());
+          });
+        })
+        .then(() => Model.create({ pic: FILE }))
+        .then(() => definition.reprocess(Model, { after: first.id }))
+        .then(({ total, processed }) => {
+          expect(total).toBe(1);
+          expect(processed).toBe(1);
+        });
+      });
+
+      it('should throw for unknown size names', () => {
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 }
+        });
+
+        expect(() => definition.reprocess(Model, { sizes: ['huge'] }))
+        .toThrow();
+      });
+
+      it('should throw for cropped attachments', () => {
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 },
+          crop: true
+        });
+
+        const Cropped = sequelize.define('cropped', {
+          name: STRING
+        });
+
+        expect(() => definition.reprocess(Cropped)).toThrow(/cropped/);
+      });
+
+    });
+
+
+    describe('metadata', () => {
+      beforeAll(() => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            metadata: true,
+            sizes: { small: 64 }
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      it('should add TEXT field for metadata', () => {
+        expect(getAttributes(Model).picMeta).toBeDefined();
+      });
+
+      it('should store metadata and expose it through getter', () => {
+        return Model
+          .create({ pic: { ...FILE, originalname: 'Lenna.png' } })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(instance.pic.original).toBe(instance.picPath);
+            expect(instance.pic.meta).toEqual({
+              size: fs.statSync(TEST_IMAGE_PATH).size,
+              mimetype: 'image/png',
+              width: 512,
+              height: 512,
+              checksum: jasmine.any(String),
+              originalName: 'Lenna.png'
+            });
+            expect(instance.pic.meta.checksum).toMatch(/^[0-9a-f]{64}$/);
+          });
+      });
+
+      it('should clear metadata when file is deleted', () => {
+        return Model
+          .create({ pic: FILE })
+          .then(instance => instance.update({ pic: null }))
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(instance.picMeta).toBe(null);
+            expect(instance.pic).toBe(undefined);
+          });
+      });
+
+    });
+
+
+    describe('sizes on demand', () => {
+      let server;
+      let base;
+      let definition;
+
+      beforeAll(() => {
+        definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          onDemand: true,
+          sizes: {
+            small: { width: 64, format: 'webp' },
+            big: 'x300'
+          }
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        definition.addTo(Model);
+
+        const middleware = definition.sizesMiddleware();
+        server = http.createServer((req, res) => {
+          middleware(req, res, err => {
+            res.statusCode = err ? 500 : 418;
+            res.end();
+          });
+        });
+
+        return sequelize.sync({ force: true })
+          .then(() => new Promise(resolve => server.listen(0, resolve)))
+          .then(() => base = `http://127.0.0.1:${server.address().port}`);
+      });
+
+      afterAll(done => server.close(done));
+
+      function get(url) {
+        return new Promise((resolve, reject) => {
+          http.get(base + url, res => {
+            const chunks = [];
+            res
+              .on('data', chunk => chunks.push(chunk))
+              .on('end', () => resolve({ res, body: Buffer.concat(chunks) }))
+              .on('error', reject);
+          }).on('error', reject);
+        });
+      }
+
+      it('shouldn\'t render sizes on save', () => {
+        return Model
+          .create({ pic: FILE })
+          .then(instance => fileExists(instance.pic.small))
+          .then(() => {
+            throw "Size was rendered on save";
+          }, err => expect(err.code).toBe('ENOENT'));
+      });
+
+      it('should render missing size on request', () => {
+        let instance;
+        return Model
+          .create({ pic: FILE })
+          .then(created => instance = created)
+          .then(() => get(instance.pic.small))
+          .then(({ res }) => {
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toBe('image/webp');
+            return getSize('public' + instance.pic.small);
+          })
+          .then(({ width }) => {
+            expect(width).toBe(64);
+            return get(instance.pic.big);
+          })
+          .then(({ res, body }) => {
+            expect(res.statusCode).toBe(200);
+            expect(body.length).toBe(fs.statSync('public' + instance.pic.big).size);
+          });
+      });
+
+      it('should respond with 404 to unknown sizes and missing files', () => {
+        return Model
+          .create({ pic: FILE })
+          .then(instance => Promise.all([
+            get(pathWithSize(instance.picPath, 'huge')),
+            get(pathWithSize(instance.picPath, 'small')),
+            get(`${path.dirname(instance.picPath)}/missing_big.png`)
+          ]))
+          .then(responses => responses.forEach(({ res }) => {
+            expect(res.statusCode).toBe(404);
+          }));
+      });
+
+      it('should throw on crop', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          onDemand: true,
+          crop: true,
+          sizes: { small: { width: 64 } }
+        })).toThrow(/crop/);
+
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          crop: true,
+          sizes: { small: { width: 64 } }
+        }).sizesMiddleware()).toThrow(/cropped/);
+      });
+
+      it('shouldn\'t render sizes of files, which rows don\'t refer to',
+        () => {
+          let big;
+          return Model
+            .create({ pic: FILE })
+            .then(instance => {
+              /* As if it was rendered */
+              big = pathWithSize(instance.picPath, 'big');
+              const content = fs.readFileSync(TEST_IMAGE_PATH);
+              fs.writeFileSync('public' + big, content);
+              return get(pathWithSize(big, 'big'));
+            })
+            .then(({ res }) => {
+              expect(res.statusCode).toBe(404);
+              expect(fs.existsSync('public' + pathWithSize(big, 'big')))
+                .toBe(false);
+            });
+        });
+
+      it('should pass requests outside of Model\'s prefix', () => {
+        return get('/somewhere/else.png')
+          .then(({ res }) => expect(res.statusCode).toBe(418));
+      });
+
+      it('shouldn\'t serve files outside of Model\'s prefix', () => {
+        const prefix = '/uploads/models/pics';
+        const up = '/%2e%2e';
+
+        return Promise.all([
+          get(`${prefix}${up}${up}${up}${up}/package.json`),
+          get(`${prefix}/1%2f..%2f..${up}${up}${up}/package.json`),
+          get(`${prefix}/..%2F..%2F..%2F..%2Fpackage.json`)
+        ])
+        .then(responses => responses.forEach(({ res, body }) => {
+          expect(res.statusCode).toBe(418);
+          expect(body.toString()).not.toMatch('sequelize-file');
+        }));
+      });
+
+    });
+
+
+    describe('deduplication', () => {
+      const FILE2 = {
+        path: `${TMP_FOLDER}/Lenna2.png`,
+        mimetype: 'image/png'
+      };
+
+      beforeAll(() => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            sizes: { small: 64 },
+            cleanup: true,
+            deduplicate: true
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      beforeEach(() => new Promise((resolve, reject) => {
+        exec(`cp ${TEST_IMAGE_PATH} ${FILE2.path}`, err => {
+          if (err) return reject(err);
+          resolve();
+        });
+      }));
+
+      it('should store file under its checksum', () => {
+        return Model
+          .create({ pic: FILE })
+          .then(instance => {
+            expect(instance.picPath).toMatch(
+              /^\/uploads\/models\/pics\/([0-9a-f]{2})\/\1[0-9a-f]{62}\.png$/
+            );
+            return Promise.all([
+              fileExists(instance.pic.original),
+              fileExists(instance.pic.small)
+            ]);
+          });
+      });
+
+      it('should reuse stored file for identical uploads', () => {
+        return Promise.all([
+            Model.create({ pic: FILE }),
+            Model.create({ pic: FILE2 })
+          ])
+          .then(([first, second]) => {
+            expect(second.picPath).toBe(first.picPath);
+          });
+      });
+
+      it('should delete file only when last row referring to it is ' +
+         'destroyed', () => {
+        let first, second;
+        return Model.create({ pic: FILE })
+          .then(instance => first = instance)
+          .then(() => Model.create({ pic: FILE2 }))
+          .then(instance => second = instance)
+          .then(() => first.destroy())
+          .then(() => Promise.all([
+            fileExists(second.pic.original),
+            fileExists(second.pic.small)
+          ]))
+          .then(() => Model.findAll({ where: { picPath: second.picPath } }))
+          .then(instances => instances.reduce((promise, instance) => {
+            return promise.then(() => instance.destroy());
+          }, Promise.resolve()))
+          .then(() => fileExists(second.pic.original))
+          .then(() => {
+            throw "Unreferenced file wasn't deleted";
+          }, err => expect(err.code).toBe('ENOENT'));
+      });
+
+    });
+
+
+    describe('background processing', () => {
+      const queue = {
+        jobs: [],
+        enqueue(job) {
+          this.jobs.push(job);
+          return Promise.resolve();
+        },
+        process() {}
+      };
+
+      const memoryQueue = new MemoryQueue();
+      let BackgroundModel;
+
+      beforeAll(() => {
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            sizes: { small: 64 },
+            queue: memoryQueue
+          });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        BackgroundModel = sequelize.define('background', {
+          name: STRING
+        });
+
+        new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 },
+          background: true,
+          queue
+        }).addTo(BackgroundModel);
+
+        return sequelize.sync({ force: true });
+      });
+
+      it('should add status and error attributes', () => {
+        expect(getAttributes(Model).picStatus).toBeDefined();
+        expect(getAttributes(Model).picError).toBeDefined();
+      });
+
+      it('should serve original until sizes are processed', () => {
+        let instance;
+        return Model
+          .create({ pic: FILE })
+          .then(created => {
+            instance = created;
+            expect(instance.picStatus).toBe('pending');
+            expect(instance.pic.small).toBe(instance.pic.original);
+            return memoryQueue.onIdle();
+          })
+          .then(() => instance.reload())
+          .then(() => {
+            expect(instance.picStatus).toBe('ready');
+            expect(instance.pic.small).not.toBe(instance.pic.original);
+            return fileExists(instance.pic.small);
+          });
+      });
+
+      it('should pass jobs to queue adapter', () => {
+        let instance;
+        return BackgroundModel
+          .create({ pic: FILE })
+          .then(created => {
+            instance = created;
+            const job = queue.jobs[queue.jobs.length - 1];
+            expect(job).toEqual({
+              model: 'background',
+              attribute: 'pic',
+              id: instance.id,
+              files: [{ path: instance.picPath }]
+            });
+            return SequelizeFileField.processJob(job);
+          })
+          .then(() => instance.reload())
+          .then(() => {
+            expect(instance.picStatus).toBe('ready');
+            return fileExists(instance.pic.small);
+          });
+      });
+
+      it('should set failed status and error', () => {
+        let instance;
+        return BackgroundModel
+          .create({ pic: FILE })
+          .then(created => {
+            instance = created;
+            fs.writeFileSync('public' + instance.picPath, 'not an image');
+            return SequelizeFileField.processJob(
+              queue.jobs[queue.jobs.length - 1]
+            );
+          })
+          .then(() => {
+            throw "Processing didn't fail";
+          }, err => instance.reload())
+          .then(() => {
+            expect(instance.picStatus).toBe('failed');
+            expect(instance.picError).toBeTruthy();
+            expect(instance.pic.small).toBe(instance.pic.original);
+          });
+      });
+
+    });
+
+
+    describe('upload middleware', () => {
+      const BOUNDARY = 'sequelize-file-boundary';
+      let server;
+      let handle;
+
+      beforeAll(() => {
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 128 },
+          crop: true,
+          maxSize: 1024 * 1024
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        definition.addTo(Model);
+
+        const middleware = SequelizeFileField.uploadFor(Model);
+        server = http.createServer((req, res) => {
+          middleware(req, res, err => {
+            handle(err, req.body).then(() => res.end(), () => res.end());
+          });
+        });
+
+        return sequelize.sync({ force: true })
+          .then(() => new Promise(resolve => server.listen(0, resolve)));
+      });
+
+      afterAll(done => server.close(done));
+
+      function post(parts) {
+        const body = Buffer.concat(parts.map(([name, value, filename]) => {
+          return Buffer.concat([
+            Buffer.from(
+              `--${BOUNDARY}\r\nContent-Disposition: form-data; ` +
+              `name="${name}"` + (filename ?
+                `; filename="${filename}"\r\nContent-Type: image/png\r\n` :
+                '\r\n') +
+              '\r\n'
+            ),
+            Buffer.from(value),
+            Buffer.from('\r\n')
+          ]);
+        }).concat(Buffer.from(`--${BOUNDARY}--\r\n`)));
+
+        return new Promise((resolve, reject) => {
+          http.request({
+            method: 'POST',
+            port: server.address().port,
+            headers: {
+              'content-type': `multipart/form-data; boundary=${BOUNDARY}`
+            }
+          }, res => res.resume().on('end', resolve))
+          .on('error', reject)
+          .end(body);
+        });
+      }
+
+      it('should set uploaded file and crop, which can be assigned to ' +
+         'instance', () => {
+        let created;
+        handle = (err, body) => {
+          expect(err).toBeUndefined();
+          return Model.create(body).then(instance => created = instance);
+        };
+
+        return post([
+          ['picCrop[width]', '0.5'],
+          ['picCrop[height]', '0.25'],
+          ['pic', fs.readFileSync(TEST_IMAGE_PATH), 'Lenna.png']
+        ])
+        .then(() => {
+          expect(created.picPath).toMatch(/\.png$/);
+          return getSize('public' + created.pic.small);
+        })
+        .then(({ width, height }) => {
+          expect(width).toBe(128);
+          expect(height).toBe(64);
+        });
+      });
+
+      it('should reject files by definition\'s rules', () => {
+        let error;
+        handle = err => Promise.resolve(error = err);
+
+        return post([['pic', 'not an image', 'bad.png']])
+          .then(() => {
+            expect(error).toBeInstanceOf(ValidationError);
+            expect(error.errors[0].path).toBe('pic');
+          });
+      });
+
+    });
+
+
+    describe('private files', () => {
+      let server;
+      let base;
+
+      beforeAll(() => {
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 },
+          private: true,
+          secret: 'secret'
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        definition.addTo(Model);
+
+        const serve = definition.serve();
+        server = http.createServer((req, res) => {
+          serve(req, res, err => {
+            res.statusCode = err ? 500 : 418;
+            res.end();
+          });
+        });
+
+        return sequelize.sync({ force: true })
+          .then(() => new Promise(resolve => server.listen(0, resolve)))
+          .then(() => base = `http://127.0.0.1:${server.address().port}`);
+      });
+
+      afterAll(done => server.close(() => {
+        exec('rm -r private/uploads', () => done());
+      }));
+
+      function get(url) {
+        return new Promise((resolve, reject) => {
+          http.get(base + url, res => {
+            res.resume().on('end', () => resolve(res));
+          }).on('error', reject);
+        });
+      }
+
+      it('should store files outside of public folder', () => {
+        return Model
+          .create({ pic: FILE })
+          .then(instance => {
+            expect(fs.existsSync('private' + instance.picPath)).toBe(true);
+            expect(fs.existsSync('public' + instance.picPath)).toBe(false);
+          });
+      });
+
+      it('should return signed urls, which are served', () => {
+        return Model
+          .create({ pic: FILE })
+          .then(instance => {
+            expect(instance.pic.original).toMatch(
+              /^\/private\/uploads\/.+\?expires=\d+&signature=[0-9a-f]{64}$/
+            );
+            expect(instance.attachmentUrl('pic', { size: 'small' }))
+              .toMatch(/_small\.png\?expires=/);
+            return get(instance.attachmentUrl('pic', { size: 'small' }));
+          })
+          .then(res => {
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toBe('image/png');
+          });
+      });
+
+      it('should reject expired and tampered urls', () => {
+        return Model
+          .create({ pic: FILE })
+          .then(instance => Promise.all([
+            get(instance.attachmentUrl('pic', { expiresIn: -1000 })),
+            get(instance.pic.original.replace(/signature=./, 'signature=x')),
+            get(instance.pic.original.split('?')[0])
+          ]))
+          .then(responses => responses.forEach(res => {
+            expect(res.statusCode).toBe(403);
+          }));
+      });
+
+      it('should require secret', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          private: true
+        })).toThrow(/secret/);
+      });
+
+      it('shouldn\'t render missing sizes of cropped files', () => {
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 },
+          crop: true,
+          private: true,
+          secret: 'secret',
+          imageProcessor: new Sharp()
+        });
+
+        const Cropped = sequelize.define('cropped', {
+          name: STRING
+        });
+
+        definition.addTo(Cropped);
+
+        const serve = definition.serve();
+        const res = { setHeader() {} };
+        let small;
+
+        return Cropped.sync({ force: true })
+          .then(() => Cropped.create({ pic: FILE }))
+          .then(instance => {
+            small = 'private' + pathWithSize(instance.picPath, 'small');
+            fs.unlinkSync(small);
+            return new Promise(resolve => {
+              serve({ method: 'GET', url: instance.pic.small }, res, resolve);
+            });
+          })
+          .then(err => {
+            expect(err.message).toMatch(/cropped/);
+            expect(fs.existsSync(small)).toBe(false);
+          });
+      });
+
+      it('should write private files to storage as private', () => {
+        const storage = new LocalStorage({ root: 'private' });
+        const write = storage.write.bind(storage);
+        const writes = [];
+        storage.write = (source, key, options) => {
+          writes.push(options);
+          return write(source, key, options);
+        };
+
+        const definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          private: true,
+          secret: 'secret',
+          storage
+        });
+
+        const Doc = sequelize.define('doc', {
+          name: STRING
+        });
+
+        definition.addTo(Doc);
+
+        return Doc.sync({ force: true })
+          .then(() => Doc.create({ pic: FILE }))
+          .then(() => {
+            expect(writes).toEqual([{ mimetype: 'image/png', private: true }]);
+          });
+      });
+
+    });
+
+
+    describe('file names', () => {
+
+      function define(options) {
+        const { addTo } = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          ...options
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      }
+
+      function copyFile() {
+        return new Promise(resolve => {
+          exec(`cp ${TEST_IMAGE_PATH} ${FILE.path}`, resolve);
+        });
+      }
+
+      const ORIGINAL_FILE = {
+        ...FILE,
+        originalname: '../My Photo?.html'
+      };
+
+      it('should name files by uuid and store original name', () => {
+        return define({ filename: 'uuid' })
+          .then(() => Model.create({ pic: ORIGINAL_FILE }))
+          .then(instance => {
+            expect(instance.picPath).toMatch(
+              /\/[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}\.png$/
+            );
+            expect(instance.picOriginalName).toBe('../My Photo?.html');
+            return fileExists(instance.picPath);
+          });
+      });
+
+      it('should sanitize original names and keep them unique', () => {
+        let first;
+        return define({ filename: 'original', folderKey: null })
+          .then(() => Model.create({ pic: ORIGINAL_FILE }))
+          .then(instance => {
+            first = instance;
+            expect(instance.picPath).toMatch(/\/My Photo_\.png$/);
+            return copyFile();
+          })
+          .then(() => Model.create({ pic: ORIGINAL_FILE }))
+          .then(second => {
+            expect(second.picPath).toMatch(/\/My Photo_-1\.png$/);
+            return Promise.all([
+              fileExists(first.picPath),
+              fileExists(second.picPath)
+            ]);
+          });
+      });
+
+      it('should name files by slug, hash or function', () => {
+        return define({ filename: 'slug' })
+          .then(() => Model.create({ pic: ORIGINAL_FILE }))
+          .then(instance => {
+            expect(instance.picPath).toMatch(/\/my-photo\.png$/);
+            return define({ filename: 'hash' });
+          })
+          .then(copyFile)
+          .then(() => Model.create({ pic: FILE }))
+          .then(instance => {
+            expect(instance.picPath).toMatch(/\/[0-9a-f]{64}\.png$/);
+            return define({
+              filename: (instance, file) => `${instance.name}-photo`
+            });
+          })
+          .then(copyFile)
+          .then(() => Model.create({ name: 'lenna', pic: FILE }))
+          .then(instance => {
+            expect(instance.picPath).toMatch(/\/lenna-photo$/);
+          });
+      });
+
+      it('should keep original names of kept files in multiple mode', () => {
+        let instance;
+        return define({ filename: 'uuid', multiple: true })
+          .then(() => Model.create({ pic: [ORIGINAL_FILE] }))
+          .then(created => {
+            instance = created;
+            return copyFile();
+          })
+          .then(() => instance.update({
+            pic: [{ ...FILE, originalname: 'second.png' }, instance.pic[0]]
+          }))
+          .then(() => {
+            expect(JSON.parse(instance.picOriginalName))
+              .toEqual(['second.png', '../My Photo?.html']);
+          });
+      });
+
+      it('should throw on unknown strategy', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          filename: 'random'
+        })).toThrow(/Expected filename/);
+      });
+
+    });
+
+
+    describe('absolute urls', () => {
+
+      function define(options) {
+        const { addTo } = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          sizes: { small: 64 },
+          ...options
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      }
+
+      it('should prefix urls with baseUrl', () => {
+        return define({
+          baseUrl: instance => `https://${instance.name}.example.com/`
+        })
+          .then(() => Model.create({ name: 'cdn', pic: FILE }))
+          .then(instance => {
+            expect(instance.pic).toEqual({
+              original: `https://cdn.example.com${instance.picPath}`,
+              small: `https://cdn.example.com${pathWithSize(instance.picPath, 'small')}`
+            });
+            expect(instance.attachmentUrl('pic', { size: 'small' }))
+              .toBe(instance.pic.small);
+          });
+      });
+
+      it('should add version of updatedAt to urls', () => {
+        return define({ baseUrl: 'https://cdn.example.com', version: 'updatedAt' })
+          .then(() => Model.create({ pic: FILE }))
+          .then(instance => {
+            const version = instance.updatedAt.getTime();
+            expect(instance.pic.original).toBe(
+              `https://cdn.example.com${instance.picPath}?v=${version}`
+            );
+            expect(instance.pic.small).toMatch(new RegExp(`_small\\.png\\?v=${version}$`));
+          });
+      });
+
+      it('should add version of checksum to urls', () => {
+        return define({ version: 'checksum', metadata: true })
+          .then(() => Model.create({ pic: FILE }))
+          .then(instance => {
+            const { checksum } = instance.pic.meta;
+            expect(instance.pic.original)
+              .toBe(`${instance.picPath}?v=${checksum.substr(0, 12)}`);
+          });
+      });
+
+      it('should throw on checksum version without metadata', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          version: 'checksum'
+        })).toThrow(/without metadata/);
+      });
+
+      function reorder(options) {
+        const FILE2 = {
+          path: `${TMP_FOLDER}/Lenna2.png`,
+          mimetype: 'image/png'
+        };
+        fs.writeFileSync(FILE2.path, fs.readFileSync(TEST_IMAGE_PATH));
+
+        let paths;
+        return define({
+          virtualAttribute: 'pics',
+          multiple: true,
+          sizes: undefined,
+          baseUrl: 'https://cdn.example.com',
+          ...options
+        })
+          .then(() => Model.create({ pics: [FILE, FILE2] }))
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            paths = JSON.parse(instance.picsPath);
+            return instance.update({ pics: instance.pics.slice().reverse() });
+          })
+          .then(({ id }) => findByPk(Model, id))
+          .then(instance => {
+            expect(JSON.parse(instance.picsPath))
+              .toEqual(paths.slice().reverse());
+          });
+      }
+
+      it('should reorder files by versioned urls', () => {
+        return reorder({ version: 'updatedAt' });
+      });
+
+      it('should reorder files by signed urls', () => {
+        return reorder({ private: true, secret: 'secret' })
+          .then(() => new Promise(resolve => {
+            exec('rm -r private/uploads', () => resolve());
+          }));
+      });
+
+    });
+
+
+    describe('bulk queries', () => {
+      const FILE2 = {
+        path: `${TMP_FOLDER}/Lenna2.png`,
+        mimetype: 'image/png'
+      };
+
+      beforeAll(() => {
+        const { addTo } = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          cleanup: true,
+          bulkConcurrency: 1
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      beforeEach(() => new Promise((resolve, reject) => {
+        exec(`cp ${TEST_IMAGE_PATH} ${FILE2.path}`, err => {
+          if (err) return reject(err);
+          resolve();
+        });
+      }));
+
+      it('should attach files of bulkCreate rows', () => {
+        return Model
+          .bulkCreate([
+            { name: 'first', pic: FILE },
+            { name: 'second' },
+            { name: 'third', pic: FILE2 }
+          ])
+          .then(() => Model.findAll({ order: [['id', 'ASC']] }))
+          .then(([first, second, third]) => {
+            expect(first.picPath).toMatch(`/${first.id}/Lenna.png`);
+            expect(second.picPath).toBeFalsy();
+            expect(third.picPath).toMatch(`/${third.id}/Lenna2.png`);
+            return Promise.all([
+              fileExists(first.picPath),
+              fileExists(third.picPath)
+            ]);
+          });
+      });
+
+      it('should attach file to every row of bulk update', () => {
+        let rows;
+        return Model
+          .bulkCreate([{ name: 'a' }, { name: 'a' }, { name: 'b' }])
+          .then(() => Model.update({ pic: FILE }, { where: { name: 'a' } }))
+          .then(() => Model.findAll({
+            where: { name: ['a', 'b'] },
+            order: [['id', 'ASC']]
+          }))
+          .then(found => {
+            rows = found;
+            expect(rows[0].picPath).toMatch(`/${rows[0].id}/Lenna.png`);
+            expect(rows[1].picPath).toMatch(`/${rows[1].id}/Lenna.png`);
+            expect(rows[2].picPath).toBeFalsy();
+            return Model.update({ name: 'c' }, { where: { name: 'a' } });
+          })
+          .then(() => findByPk(Model, rows[0].id))
+          .then(row => {
+            expect(row.picPath).toBe(rows[0].picPath);
+            return Promise.all([
+              fileExists(rows[0].picPath),
+              fileExists(rows[1].picPath)
+            ]);
+          });
+      });
+
+      it('shouldn\'t attach files, if bulk update fails', () => {
+        const { addTo } = new SequelizeFileField(DEFAULT_OPTIONS);
+
+        const Unique = sequelize.define('unique', {
+          name: { type: STRING, unique: true }
+        });
+
+        addTo(Unique);
+
+        return Unique.sync({ force: true })
+          .then(() => Unique.bulkCreate([{ name: 'a' }, { name: 'b' }]))
+          .then(() => Unique.update({ name: 'c', pic: FILE }, { where: {} }))
+          .then(() => {
+            throw "Promise resolved when it shoudn't";
+          })
+          .catch(error => {
+            expect(error.name).toBe('SequelizeUniqueConstraintError');
+            return Unique.findAll();
+          })
+          .then(rows => {
+            expect(rows.map(row => row.picPath)).toEqual([null, null]);
+            expect(uploadedFiles('public/uploads/uniques')).toEqual([]);
+          });
+      });
+
+      it('should delete files of bulk destroyed rows', () => {
+        let paths;
+        return Model
+          .bulkCreate([{ name: 'x', pic: FILE }, { name: 'y', pic: FILE2 }])
+          .then(() => Model.findAll({ where: { name: ['x', 'y'] } }))
+          .then(rows => {
+            paths = rows.map(row => row.picPath);
+            return Model.destroy({ where: { name: 'x' } });
+          })
+          .then(() => Promise.all(paths.map(path => {
+            return fileExists(path).catch(err => err.code);
+          })))
+          .then(results => {
+            expect(results.sort()).toEqual(['ENOENT', true].sort());
+          });
+      });
+
+    });
+
+
+    describe('paranoid models', () => {
+      const exists = path => fileExists(path).catch(err => err.code);
+      let definition;
+
+      beforeAll(() => {
+        definition = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          cleanup: true,
+          trash: true,
+          retention: 0
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        }, { paranoid: true });
+
+        definition.addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      afterAll(() => new Promise(resolve => {
+        exec('rm -r public/.trash', () => resolve());
+      }));
+
+      it('should move files to trash on soft delete and back on restore', () => {
+        let instance;
+        return Model
+          .create({ name: 'soft', pic: FILE })
+          .then(created => {
+            instance = created;
+            return instance.destroy();
+          })
+          .then(() => Promise.all([
+            exists(instance.picPath),
+            exists(`/.trash${instance.picPath}`)
+          ]))
+          .then(results => {
+            expect(results).toEqual(['ENOENT', true]);
+            return instance.restore();
+          })
+          .then(() => Promise.all([
+            exists(instance.picPath),
+            exists(`/.trash${instance.picPath}`)
+          ]))
+          .then(results => expect(results).toEqual([true, 'ENOENT']));
+      });
+
+      it('should delete files on force destroy', () => {
+        let instance;
+        return Model
+          .create({ name: 'force', pic: FILE })
+          .then(created => {
+            instance = created;
+            return instance.destroy();
+          })
+          .then(() => instance.destroy({ force: true }))
+          .then(() => Promise.all([
+            exists(instance.picPath),
+            exists(`/.trash${instance.picPath}`)
+          ]))
+          .then(results => expect(results).toEqual(['ENOENT', 'ENOENT']));
+      });
+
+      it('should purge rows deleted longer than retention ago', () => {
+        let instance;
+        return Model
+          .create({ name: 'purge', pic: FILE })
+          .then(created => {
+            instance = created;
+            return instance.destroy();
+          })
+          .then(() => definition.purge({ dryRun: true }))
+          .then(({ expired, purged }) => {
+            expect(expired).toContain(instance.id);
+            expect(purged).toEqual([]);
+            return definition.purge();
+          })
+          .then(({ purged }) => {
+            expect(purged).toContain(instance.id);
+            return findByPk(Model, instance.id, { paranoid: false });
+          })
+          .then(row => {
+            expect(row).toBeNull();
+            return exists(`/.trash${instance.picPath}`);
+          })
+          .then(result => expect(result).toBe('ENOENT'));
+      });
+
+      it('should throw on purge of models, which aren\'t paranoid', () => {
+        const { addTo, purge } = new SequelizeFileField(DEFAULT_OPTIONS);
+        addTo(sequelize.define('model', { name: STRING }));
+        expect(() => purge()).toThrow(/paranoid/);
+      });
+
+    });
+
+
+    describe('versions', () => {
+      const exists = path => fileExists(path).catch(err => err.code);
+      const copy = () => new Promise((resolve, reject) => {
+        exec(`cp ${TEST_IMAGE_PATH} ${FILE.path}`, err => {
+          if (err) return reject(err);
+          resolve();
+        });
+      });
+
+      beforeAll(() => {
+        const { addTo } = new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          cleanup: true,
+          keepVersions: 2
+        });
+
+        Model = sequelize.define('model', {
+          name: STRING
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true });
+      });
+
+      it('should throw if keepVersions isn\'t a positive integer', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          keepVersions: 0
+        })).toThrow(/keepVersions/);
+      });
+
+      it('should keep replaced files as versions and prune old ones', () => {
+        let instance;
+        const paths = [];
+        const replace = () => copy()
+          .then(() => instance.update({ pic: FILE }))
+          .then(() => paths.push(instance.picPath));
+
+        return Model
+          .create({ pic: FILE })
+          .then(created => {
+            instance = created;
+            paths.push(instance.picPath);
+          })
+          .then(replace)
+          .then(replace)
+          .then(() => {
+            const versions = instance.attachmentVersions('pic');
+            expect(versions.map(({ path }) => path))
+              .toEqual([paths[1], paths[0]]);
+            expect(versions[0].url).toBe(paths[1]);
+            expect(versions[0].replacedAt).toBeInstanceOf(Date);
+            return replace();
+          })
+          .then(() => {
+            expect(instance.attachmentVersions('pic').map(({ path }) => path))
+              .toEqual([paths[2], paths[1]]);
+            return Promise.all(paths.map(exists));
+          })
+          .then(results => {
+            expect(results).toEqual(['ENOENT', true, true, true]);
+          });
+      });
+
+      it('should revert attachment to version', () => {
+        let instance;
+        let first;
+        return Model
+          .create({ pic: FILE })
+          .then(created => {
+            instance = created;
+            first = instance.picPath;
+            return copy();
+          })
+          .then(() => instance.update({ pic: FILE }))
+          .then(() => findByPk(Model, instance.id))
+          .then(found => {
+            const [version] = found.attachmentVersions('pic');
+            return found.revertAttachment('pic', version.id);
+          })
+          .then(() => findByPk(Model, instance.id))
+          .then(found => {
+            expect(found.picPath).toBe(first);
+            expect(found.attachmentVersions('pic').map(({ path }) => path))
+              .toEqual([instance.picPath]);
+            return found.revertAttachment('pic', 'unknown')
+              .then(() => { throw new Error('Expected to reject'); })
+              .catch(err => expect(err.message).toMatch(/unknown/));
+          });
+      });
+
+    });
+
+
+    describe('storage', () => {
+
+      it('should throw if storage doesn\'t implement storage interface', () => {
+        expect(() => new SequelizeFileField({
+          ...DEFAULT_OPTIONS,
+          storage: { write() {} }
+        })).toThrow(TypeError);
+      });
+
+      it('should write files to storage and get urls from it', () => {
+        const local = new LocalStorage();
+        const written = [];
+        const storage = {
+          write: (source, key, options) => {
+            written.push(key);
+            return local.write(source, key, options);
+          },
+          createReadStream: key => local.createReadStream(key),
+          delete: key => local.delete(key),
+          exists: key => local.exists(key),
+          url: key => `https://cdn.example.com${key}`
+        };
+
+        const { addTo }
+          = new SequelizeFileField({
+            ...DEFAULT_OPTIONS,
+            sizes: { small: 64 },
+            storage
+          });
+
+        let Model = sequelize.define('model', {
+          name: STRING,
+        });
+
+        addTo(Model);
+
+        return sequelize.sync({ force: true })
+        .then(() => Model.create({ pic: FILE }))
+        .then(instance => instance.reload())
+        .then(instance => {
+          expect(written).toEqual([
+            instance.picPath,
+            pathWithSize(instance.picPath, 'small')
+          ]);
+          expect(instance.pic).toEqual({
+            original: `https://cdn.example.com${instance.picPath}`,
+            small: `https://cdn.example.com${pathWithSize(instance.picPath, 'small')}`
+          });
+          return fileExists(instance.picPath);
+        });
+      });
+
+    });
+
   });
 });
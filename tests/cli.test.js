@@ -0,0 +1,73 @@
+import fs from 'fs';
+import { exec } from 'child_process';
+
+import { run } from '../src/cli';
+import Doc from './models';
+
+const ORPHAN = 'public/uploads/docs/scans/1/orphan.png';
+
+describe('sequelize-file-gc', () => {
+  let lines;
+  const log = line => lines.push(line);
+
+  beforeAll(() => Doc.sync({ force: true }));
+
+  beforeEach(() => new Promise((resolve, reject) => {
+    lines = [];
+    exec(`mkdir -p public/uploads/docs/scans/1 && touch ${ORPHAN}`, err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  }));
+
+  afterAll(() => new Promise(resolve => {
+    exec('rm -r public/uploads/docs', () => resolve());
+  }));
+
+  it('should print usage', () => {
+    return run(['--help'], log)
+      .then(code => {
+        expect(code).toBe(0);
+        expect(lines[0]).toMatch(/^Usage: sequelize-file-gc/);
+        return run([], log);
+      })
+      .then(code => expect(code).toBe(1));
+  });
+
+  it('should reject bad arguments', () => {
+    return run(['tests/models.js', '--older-than', 'soon'], log)
+      .then(() => {
+        throw 'Bad age was accepted';
+      }, err => {
+        expect(err.message).toBe('Invalid age: soon');
+        return run(['tests/models.js', 'tests/other.js'], log);
+      })
+      .then(() => {
+        throw 'Unknown argument was accepted';
+      }, err => expect(err.message).toMatch(/Unknown argument/));
+  });
+
+  it('should report orphans of models in dry run', () => {
+    return run(['tests/models.js', '--dry-run', '--older-than', '0s'], log)
+      .then(code => {
+        expect(code).toBe(0);
+        expect(lines).toEqual([
+          'doc.scan (/uploads/docs/scans): found 1 orphaned file(s)',
+          '  /uploads/docs/scans/1/orphan.png'
+        ]);
+        expect(fs.existsSync(ORPHAN)).toBe(true);
+      });
+  });
+
+  it('should delete orphans older than given age', () => {
+    return run(['tests/models.js', '--older-than', '1h'], log)
+      .then(() => {
+        expect(fs.existsSync(ORPHAN)).toBe(true);
+        return run(['tests/models.js', '--older-than', '0s'], log);
+      })
+      .then(() => {
+        expect(lines[1]).toMatch(/deleted 1 orphaned file\(s\)$/);
+        expect(fs.existsSync(ORPHAN)).toBe(false);
+      });
+  });
+});
@@ -0,0 +1,94 @@
+import Sequelize, {
+  STRING,
+  VIRTUAL,
+  ValidationErrorItem
+} from 'sequelize';
+
+import sequelize from './sequelize';
+import {
+  VERSION,
+  Op,
+  getAttributes,
+  addAttributes,
+  instancePrototype,
+  findByPk,
+  getDeletedAtAttribute,
+  validationErrorItem
+} from '../src/compat';
+
+describe('compat', () => {
+
+  it('should detect major version of sequelize', () => {
+    expect(VERSION).toBeGreaterThanOrEqual(3);
+    if (Sequelize.version) {
+      expect(String(VERSION)).toBe(Sequelize.version.split('.')[0]);
+    }
+  });
+
+  it('should provide query operators', () => {
+    ['and', 'gt', 'like', 'lt', 'ne'].forEach(operator => {
+      expect(Op[operator]).toBeDefined();
+    });
+  });
+
+  it('should add attributes and keep defined ones', () => {
+    const get = () => 'value';
+    const Model = sequelize.define('compat', {
+      name: STRING,
+      pic: VIRTUAL
+    });
+
+    addAttributes(Model, {
+      picPath: { type: STRING },
+      pic: { type: VIRTUAL, get },
+      name: { type: VIRTUAL }
+    });
+
+    const attributes = getAttributes(Model);
+    expect(attributes.picPath).toBeDefined();
+    expect(attributes.pic.get).toBe(get);
+    expect(attributes.name.type).not.toBeInstanceOf(VIRTUAL);
+    expect(instancePrototype(Model)).toBe(Model.build({}).constructor.prototype);
+    expect(Model.build({}).pic).toBe('value');
+  });
+
+  it('should throw on models, which aren\'t initialized', () => {
+    class Model {}
+    expect(() => addAttributes(Model, { picPath: { type: STRING } }))
+      .toThrow(/Model\.init/);
+  });
+
+  it('should find by primary key with findByPk or findById', () => {
+    const found = [];
+    const find = method => id => {
+      found.push([method, id]);
+      return Promise.resolve(null);
+    };
+
+    return Promise.all([
+      findByPk({ findByPk: find('findByPk'), findById: find('findById') }, 1),
+      findByPk({ findById: find('findById') }, 2)
+    ])
+    .then(() => {
+      expect(found).toEqual([['findByPk', 1], ['findById', 2]]);
+    });
+  });
+
+  it('should detect deletedAt attribute of paranoid models', () => {
+    const Paranoid = sequelize.define('compatParanoid', {}, {
+      paranoid: true
+    });
+    const Model = sequelize.define('compatModel', {});
+
+    expect(getDeletedAtAttribute(Paranoid)).toBe('deletedAt');
+    expect(getDeletedAtAttribute(Model)).toBeUndefined();
+  });
+
+  it('should create validation error items', () => {
+    const item = validationErrorItem('Too big', 'pic');
+    expect(item).toBeInstanceOf(ValidationErrorItem);
+    expect(item.message).toBe('Too big');
+    expect(item.path).toBe('pic');
+  });
+
+});
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import os from 'os';
+import http from 'http';
+
+import {
+  download,
+  downloadOptions,
+  checkUrl,
+  isPrivateAddress
+} from '../src/download';
+
+const TMP_FOLDER = `${os.tmpdir()}/sequelize-file-download-test`;
+const LOCAL = { allowPrivateAddresses: true };
+
+describe('download', () => {
+  let server;
+  let base;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      switch (req.url) {
+        case '/file.txt':
+          res.writeHead(200, { 'content-type': 'text/plain' });
+          return res.end('hello');
+        case '/large':
+          res.writeHead(200, { 'content-type': 'text/plain' });
+          return res.end(Buffer.alloc(1024));
+        case '/chunked':
+          res.writeHead(200, { 'content-type': 'text/plain' });
+          res.write(Buffer.alloc(512));
+          return setTimeout(() => res.end(Buffer.alloc(512)), 20);
+        case '/redirect':
+          res.writeHead(302, { location: '/file.txt' });
+          return res.end();
+        case '/loop':
+          res.writeHead(302, { location: '/loop' });
+          return res.end();
+        case '/metadata':
+          res.writeHead(302, { location: 'http://169.254.169.254/latest' });
+          return res.end();
+        case '/slow':
+          return setTimeout(() => res.end('late'), 500);
+        default:
+          res.writeHead(404);
+          return res.end();
+      }
+    });
+    server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => server.close(done));
+
+  const path = name => `${TMP_FOLDER}/${name}`;
+
+  const expectRejection = (promise, pattern) => promise.then(() => {
+    throw new Error('Expected download to fail');
+  }, err => expect(String(err)).toMatch(pattern));
+
+  it('should download url to path', () => {
+    return download(`${base}/file.txt`, path('file.txt'), LOCAL)
+      .then(({ mimetype, path }) => {
+        expect(mimetype).toBe('text/plain');
+        expect(fs.readFileSync(path, 'utf8')).toBe('hello');
+      });
+  });
+
+  it('should reject private addresses by default', () => {
+    return expectRejection(
+      download(`${base}/file.txt`, path('private.txt')),
+      /private address/
+    );
+  });
+
+  it('should reject hosts resolving to private addresses', () => {
+    return expectRejection(
+      download(`http://localhost:${server.address().port}/file.txt`,
+        path('localhost.txt')),
+      /resolves to a private address/
+    );
+  });
+
+  it('should follow redirects', () => {
+    return download(`${base}/redirect`, path('redirected.txt'), LOCAL)
+      .then(({ path }) => {
+        expect(fs.readFileSync(path, 'utf8')).toBe('hello');
+      });
+  });
+
+  it('should reject redirects to denied addresses', () => {
+    return expectRejection(
+      download(`${base}/metadata`, path('metadata.txt'), {
+        ...LOCAL,
+        denyHosts: ['169.254.169.254']
+      }),
+      /host "169.254.169.254" isn't allowed/
+    );
+  });
+
+  it('should limit redirects', () => {
+    return expectRejection(
+      download(`${base}/loop`, path('loop.txt'), {
+        ...LOCAL,
+        maxRedirects: 2
+      }),
+      /redirected too many times/
+    );
+  });
+
+  it('should reject error statuses', () => {
+    return expectRejection(
+      download(`${base}/missing`, path('missing.txt'), LOCAL),
+      /responded with "404/
+    );
+  });
+
+  it('should abort downloads larger than maxBytes and remove them', () => {
+    return expectRejection(
+      download(`${base}/large`, path('large.txt'), {
+        ...LOCAL,
+        maxBytes: 100
+      }),
+      /maximum size is 100 bytes/
+    ).then(() => {
+      return expectRejection(
+        download(`${base}/chunked`, path('chunked.txt'), {
+          ...LOCAL,
+          maxBytes: 600
+        }),
+        /maximum size is 600 bytes/
+      );
+    })
+    .then(() => {
+      expect(fs.existsSync(path('large.txt'))).toBe(false);
+      expect(fs.existsSync(path('chunked.txt'))).toBe(false);
+    });
+  });
+
+  it('should time out', () => {
+    return expectRejection(
+      download(`${base}/slow`, path('slow.txt'), {
+        ...LOCAL,
+        readTimeout: 100
+      }),
+      /timed out/
+    );
+  });
+
+});
+
+describe('checkUrl', () => {
+  const options = downloadOptions();
+
+  it('should reject invalid urls and not allowed protocols', () => {
+    expect(checkUrl('htt/ooooooooooo', options)).toMatch(/valid url/);
+    expect(checkUrl('file:///etc/passwd', options)).toBeDefined();
+    expect(checkUrl('ftp://example.com/a.png', options)).toMatch(/protocol/);
+    expect(checkUrl('https://example.com/a.png', options)).toBeUndefined();
+  });
+
+  it('should check allowed and denied hosts', () => {
+    const restricted = downloadOptions({
+      allowHosts: ['*.example.com', /^cdn\d\.example\.org$/],
+      denyHosts: ['evil.example.com']
+    });
+
+    expect(checkUrl('http://img.example.com/a', restricted)).toBeUndefined();
+    expect(checkUrl('http://cdn1.example.org/a', restricted)).toBeUndefined();
+    expect(checkUrl('http://evil.example.com/a', restricted))
+      .toMatch(/isn't allowed/);
+    expect(checkUrl('http://example.net/a', restricted))
+      .toMatch(/isn't allowed/);
+  });
+
+  it('should reject private ip literals', () => {
+    expect(checkUrl('http://169.254.169.254/latest', options))
+      .toMatch(/private address/);
+    expect(checkUrl('http://[::1]/', options)).toMatch(/private address/);
+  });
+
+  it('should validate options', () => {
+    expect(() => downloadOptions({ maxBytes: '1' })).toThrow(TypeError);
+    expect(() => downloadOptions({ allowHosts: 'a.com' })).toThrow(TypeError);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('should detect private IPv4 addresses', () => {
+    [
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.16.0.1',
+      '172.31.255.255',
+      '192.168.1.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0'
+    ].forEach(address => expect(isPrivateAddress(address)).toBe(true));
+
+    [
+      '8.8.8.8',
+      '172.32.0.1',
+      '93.184.216.34'
+    ].forEach(address => expect(isPrivateAddress(address)).toBe(false));
+  });
+
+  it('should detect private IPv6 addresses', () => {
+    [
+      '::',
+      '::1',
+      'fc00::1',
+      'fd12:3456::1',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '::ffff:7f00:1'
+    ].forEach(address => expect(isPrivateAddress(address)).toBe(true));
+
+    [
+      '2606:4700:4700::1111',
+      '::ffff:8.8.8.8'
+    ].forEach(address => expect(isPrivateAddress(address)).toBe(false));
+  });
+});
@@ -0,0 +1,26 @@
+'use strict';
+
+/* Node environment of jest 19 doesn't expose globals, which were added in
+ * later Node versions and are used by AWS SDK v3 */
+
+const NodeEnvironment = require('jest-environment-node');
+
+const GLOBALS = [
+  'AbortController',
+  'AbortSignal',
+  'TextDecoder',
+  'TextEncoder',
+  'URL',
+  'URLSearchParams'
+];
+
+class Environment extends NodeEnvironment {
+  constructor(config) {
+    super(config);
+    GLOBALS.forEach(name => {
+      if (typeof global[name] !== 'undefined') this.global[name] = global[name];
+    });
+  }
+}
+
+module.exports = Environment;
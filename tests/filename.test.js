@@ -0,0 +1,48 @@
+import {
+  sanitizeFilename,
+  slugify,
+  uuid,
+  withExtension,
+  splitExtension
+} from '../src/filename';
+
+describe('filename', () => {
+
+  it('should sanitize file names', () => {
+    expect(sanitizeFilename('../../etc/pass?wd.png')).toBe('pass_wd.png');
+    expect(sanitizeFilename('C:\\Users\\me\\photo.jpg')).toBe('photo.jpg');
+    expect(sanitizeFilename('.htaccess')).toBe('htaccess');
+    expect(sanitizeFilename('a\u0000b\nc.txt')).toBe('a_b_c.txt');
+    expect(sanitizeFilename('Résumé  final.pdf')).toBe('Résumé final.pdf');
+    expect(sanitizeFilename('...')).toBe('file');
+    expect(sanitizeFilename(undefined)).toBe('file');
+    expect(sanitizeFilename(`${'a'.repeat(300)}.png`).length).toBe(200);
+    expect(sanitizeFilename(`${'a'.repeat(300)}.png`)).toMatch(/\.png$/);
+  });
+
+  it('should slugify file names', () => {
+    expect(slugify('Ünïcode Résumé (final).PDF'))
+      .toBe('unicode-resume-final.pdf');
+    expect(slugify('Привет.png')).toBe('file.png');
+  });
+
+  it('should generate version 4 uuids', () => {
+    expect(uuid())
+      .toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(uuid()).not.toBe(uuid());
+  });
+
+  it('should replace extensions, which don\'t match MIME type', () => {
+    expect(withExtension('photo.jpeg', 'image/jpeg')).toBe('photo.jpeg');
+    expect(withExtension('photo.JPG', 'image/jpeg')).toBe('photo.JPG');
+    expect(withExtension('invoice.html', 'application/pdf'))
+      .toBe('invoice.pdf');
+    expect(withExtension('scan', 'image/png')).toBe('scan.png');
+  });
+
+  it('should split extension', () => {
+    expect(splitExtension('archive.tar.gz')).toEqual(['archive.tar', 'gz']);
+    expect(splitExtension('README')).toEqual(['README', '']);
+  });
+
+});
@@ -0,0 +1,102 @@
+import {
+  parseGeometry,
+  resizeSpec,
+  cropRect,
+  orientedDimensions
+} from '../../src/image/geometry';
+
+const SOURCE = { width: 400, height: 200 };
+
+const dimensions = (size, options = {}) => {
+  const { width, height } = resizeSpec(size, options, SOURCE);
+  return [width, height];
+};
+
+describe('geometry', () => {
+
+  it('should parse geometry strings', () => {
+    expect(parseGeometry('100x50^')).toEqual({
+      width: 100,
+      height: 50,
+      flags: '^'
+    });
+    expect(parseGeometry(64)).toEqual({
+      width: 64,
+      height: undefined,
+      flags: ''
+    });
+    expect(parseGeometry('x300').height).toBe(300);
+    expect(parseGeometry('100x100+10+10')).toBeNull();
+    expect(parseGeometry('10000@')).toBeNull();
+    expect(parseGeometry('')).toBeNull();
+  });
+
+  it('should resolve geometry against source dimensions', () => {
+    expect(dimensions(100)).toEqual([100, 50]);
+    expect(dimensions('x50')).toEqual([100, 50]);
+    expect(dimensions('100x100')).toEqual([100, 50]);
+    expect(dimensions('100x100^')).toEqual([200, 100]);
+    expect(dimensions('100x100!')).toEqual([100, 100]);
+    expect(dimensions('50%')).toEqual([200, 100]);
+    expect(dimensions('50x25%')).toEqual([200, 50]);
+    expect(dimensions('800>')).toEqual([400, 200]);
+    expect(dimensions('200>')).toEqual([200, 100]);
+    expect(dimensions('200<')).toEqual([400, 200]);
+    expect(dimensions('800<')).toEqual([800, 400]);
+    expect(resizeSpec('100x100', {}, SOURCE).fit).toBe('fill');
+  });
+
+  it('should resolve object-form sizes', () => {
+    expect(dimensions(undefined, { width: 100 })).toEqual([100, 50]);
+    expect(dimensions(undefined, { height: 400, withoutEnlargement: true }))
+      .toEqual([400, 200]);
+    expect(dimensions(undefined, {
+      width: 100,
+      height: 100,
+      fit: 'inside'
+    })).toEqual([100, 50]);
+    expect(dimensions(undefined, { width: 100, height: 100, fit: 'fill' }))
+      .toEqual([100, 100]);
+
+    expect(resizeSpec(undefined, { width: 100, height: 100 }, SOURCE))
+      .toEqual({
+        width: 100,
+        height: 100,
+        fit: 'cover',
+        gravity: 'center',
+        background: 'transparent',
+        withoutEnlargement: false
+      });
+    expect(resizeSpec(undefined, {
+      width: 100,
+      height: 100,
+      fit: 'contain',
+      gravity: 'north',
+      background: 'white'
+    }, SOURCE)).toMatchObject({
+      fit: 'contain',
+      gravity: 'north',
+      background: 'white'
+    });
+  });
+
+  it('should swap dimensions of rotated orientations', () => {
+    [undefined, 1, 2, 3, 4].forEach(orientation => {
+      expect(orientedDimensions({ ...SOURCE, orientation })).toEqual(SOURCE);
+    });
+    [5, 6, 7, 8].forEach(orientation => {
+      expect(orientedDimensions({ ...SOURCE, orientation }))
+        .toEqual({ width: 200, height: 400 });
+    });
+  });
+
+  it('should convert crop to pixels inside of image', () => {
+    expect(cropRect({ x: 0.1, y: 0.25, width: 0.5, height: 0.5 }, SOURCE))
+      .toEqual({ x: 40, y: 50, width: 200, height: 100 });
+    expect(cropRect({ x: 0.5 }, SOURCE))
+      .toEqual({ x: 200, y: 0, width: 200, height: 200 });
+    expect(cropRect({ x: -1, y: 0.9, width: 2, height: 0.5 }, SOURCE))
+      .toEqual({ x: 0, y: 180, width: 400, height: 20 });
+  });
+
+});
@@ -0,0 +1,160 @@
+import path from 'path';
+import { exec } from 'child_process';
+
+import ImageMagick from '../../src/image/ImageMagick';
+import Sharp from '../../src/image/Sharp';
+import { resizeSpec, cropRect } from '../../src/image/geometry';
+
+const TMP_FOLDER = 'public/uploads/sequelize-file-processors-tmp';
+const TEST_IMAGE_PATH = path.resolve(__dirname, '..', 'Lenna.png');
+
+/* 200x100 JPEG with EXIF orientation 6, displayed as 100x200 */
+const ROTATED_IMAGE_PATH = path.resolve(__dirname, '..', 'Rotated.jpg');
+
+const SOURCE = { width: 512, height: 512 };
+const CROP = { x: 0.25, y: 0, width: 0.5, height: 0.25 };
+
+/* [size, object-form options, crop, expected dimensions] */
+const CASES = [
+  [64, {}, null, { width: 64, height: 64 }],
+  ['x300', {}, null, { width: 300, height: 300 }],
+  ['200x100', {}, null, { width: 100, height: 100 }],
+  ['200x100^', {}, null, { width: 200, height: 200 }],
+  ['200x100!', {}, null, { width: 200, height: 100 }],
+  ['25%', {}, null, { width: 128, height: 128 }],
+  ['1024>', {}, null, { width: 512, height: 512 }],
+  [64, {}, CROP, { width: 64, height: 32 }],
+  [undefined, { width: 100, height: 50 }, null, { width: 100, height: 50 }],
+  [
+    undefined,
+    { width: 100, height: 50, fit: 'contain', gravity: 'north' },
+    null,
+    { width: 100, height: 50 }
+  ],
+  [
+    undefined,
+    { width: 600, height: 300, withoutEnlargement: true },
+    null,
+    { width: 512, height: 300 }
+  ],
+  [undefined, { height: 64 }, CROP, { width: 128, height: 64 }]
+];
+
+[
+  ['ImageMagick', () => new ImageMagick()],
+  ['Sharp', () => new Sharp()]
+].forEach(([name, createProcessor]) => {
+
+  describe(name, () => {
+    let processor;
+
+    beforeAll(() => new Promise((resolve, reject) => {
+      processor = createProcessor();
+      exec(`mkdir -p ${TMP_FOLDER}`, err => {
+        if (err) return reject(err);
+        resolve();
+      });
+    }));
+
+    afterAll(() => new Promise((resolve, reject) => {
+      exec(`rm -r ${TMP_FOLDER}`, err => {
+        if (err) return reject(err);
+        resolve();
+      });
+    }));
+
+    it('should probe dimensions', () => {
+      return processor.probe(TEST_IMAGE_PATH)
+        .then(dimensions => {
+          expect(dimensions).toMatchObject(SOURCE);
+        });
+    });
+
+    CASES.forEach(([size, options, crop, expected], i) => {
+      const geometry = typeof size === 'undefined' ?
+        JSON.stringify(options) :
+        size;
+
+      it(`should render ${geometry}${crop ? ' of crop' : ''}`, () => {
+        const output = `${TMP_FOLDER}/${i}.png`;
+        const rect = crop && cropRect(crop, SOURCE);
+        const image = rect ?
+          processor.crop(processor.load(TEST_IMAGE_PATH), rect) :
+          processor.load(TEST_IMAGE_PATH);
+
+        return processor
+          .encode(
+            processor.resize(image, resizeSpec(size, options, rect || SOURCE)),
+            output,
+            { quality: 90 }
+          )
+          .then(() => processor.probe(output))
+          .then(dimensions => {
+            expect(dimensions).toMatchObject(expected);
+          });
+      });
+    });
+
+    it('should probe EXIF orientation', () => {
+      return Promise.all([
+        processor.probe(ROTATED_IMAGE_PATH),
+        processor.probe(TEST_IMAGE_PATH)
+      ])
+      .then(([rotated, plain]) => {
+        expect(rotated).toEqual({ width: 200, height: 100, orientation: 6 });
+        expect(plain.orientation).toBeUndefined();
+      });
+    });
+
+    it('should orient before crop', () => {
+      const output = `${TMP_FOLDER}/oriented.jpg`;
+      const image = processor.orient(processor.load(ROTATED_IMAGE_PATH));
+
+      return processor
+        .encode(
+          processor.crop(image, { x: 0, y: 0, width: 100, height: 150 }),
+          output,
+          { quality: 90 }
+        )
+        .then(() => processor.probe(output))
+        .then(dimensions => {
+          expect(dimensions.width).toBe(100);
+          expect(dimensions.height).toBe(150);
+          expect(dimensions.orientation || 1).toBe(1);
+        });
+    });
+
+    it('should keep or strip metadata', () => {
+      const kept = `${TMP_FOLDER}/kept.jpg`;
+      const stripped = `${TMP_FOLDER}/stripped.jpg`;
+
+      return Promise.all([
+        processor.encode(processor.load(ROTATED_IMAGE_PATH), kept, {}),
+        processor.encode(processor.load(ROTATED_IMAGE_PATH), stripped, {
+          stripMetadata: true
+        })
+      ])
+      .then(() => Promise.all([
+        processor.probe(kept),
+        processor.probe(stripped)
+      ]))
+      .then(([kept, stripped]) => {
+        expect(kept.orientation).toBe(6);
+        expect(stripped.orientation).toBeUndefined();
+      });
+    });
+
+    it('should encode in format of extension', () => {
+      const output = `${TMP_FOLDER}/small.webp`;
+
+      return processor
+        .encode(processor.load(TEST_IMAGE_PATH), output, { quality: 80 })
+        .then(() => processor.probe(output))
+        .then(dimensions => {
+          expect(dimensions).toMatchObject(SOURCE);
+        });
+    });
+
+  });
+
+});
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+
+import {
+  detectMimetype,
+  extension,
+  sniffMimetype,
+  sniffBuffer,
+  lookupMimetype
+} from '../src/mimetype';
+
+describe('mimetype', () => {
+
+  it('should detect MIME type by file contents', () => {
+    return detectMimetype(path.resolve(__dirname, 'Lenna.png'))
+      .then(type => {
+        expect(type).toEqual({ ext: 'png', mime: 'image/png' });
+      });
+  });
+
+  it('should resolve with null for unknown contents', () => {
+    return detectMimetype(path.resolve(__dirname, 'sequelize.js'))
+      .then(type => expect(type).toBe(null));
+  });
+
+  it('should return extension for MIME type', () => {
+    expect(extension('image/jpeg')).toBe('jpeg');
+    expect(extension('application/x-unknown')).toBe('bin');
+  });
+
+  it('should look up MIME type by extension', () => {
+    expect(lookupMimetype('/a/pic_small.webp')).toBe('image/webp');
+    expect(lookupMimetype('/a/pic')).toBe('application/octet-stream');
+  });
+
+});
+
+describe('sniffMimetype', () => {
+  const IMAGE = path.resolve(__dirname, 'Lenna.png');
+  const SCRIPT = path.resolve(__dirname, 'sequelize.js');
+
+  it('should prefer detected MIME type over declared one', () => {
+    return sniffMimetype(IMAGE, 'application/javascript')
+      .then(result => {
+        expect(result).toEqual({ mimetype: 'image/png', mismatch: true });
+      });
+  });
+
+  it('should ignore declared type\'s parameters and aliases', () => {
+    return sniffMimetype(IMAGE, 'image/x-png; charset=binary')
+      .then(result => expect(result.mismatch).toBe(false));
+  });
+
+  it('shouldn\'t trust declared type with magic bytes for unknown ' +
+     'contents', () => {
+    return sniffMimetype(SCRIPT, 'image/png')
+      .then(result => {
+        expect(result).toEqual({
+          mimetype: 'application/octet-stream',
+          mismatch: true
+        });
+      });
+  });
+
+  it('should trust declared type without magic bytes', () => {
+    return sniffMimetype(SCRIPT, 'text/plain')
+      .then(result => {
+        expect(result).toEqual({ mimetype: 'text/plain', mismatch: false });
+      });
+  });
+
+  it('shouldn\'t trust declared types, which aren\'t inert text', () => {
+    const html = Buffer.from('<html><script>alert(1)</script></html>');
+    ['image/svg+xml', 'image/x-whatever', 'text/html'].forEach(declared => {
+      expect(sniffBuffer(html, declared)).toEqual({
+        mimetype: 'application/octet-stream',
+        mismatch: true
+      });
+    });
+    expect(sniffBuffer(Buffer.from('a,b\n1,2'), 'text/csv'))
+      .toEqual({ mimetype: 'text/csv', mismatch: false });
+  });
+
+  it('should sniff MIME type of received bytes', () => {
+    const head = fs.readFileSync(IMAGE).slice(0, 100);
+    expect(sniffBuffer(head, 'image/jpeg'))
+      .toEqual({ mimetype: 'image/png', mismatch: true });
+    expect(sniffBuffer(Buffer.from('hello'), 'text/plain'))
+      .toEqual({ mimetype: 'text/plain', mismatch: false });
+  });
+});
@@ -0,0 +1,17 @@
+import { STRING } from 'sequelize';
+
+import sequelize from './sequelize';
+import SequelizeFileField from '../src/SequelizeFile';
+
+/* Models module, which is given to sequelize-file-gc in tests */
+
+const Doc = sequelize.define('doc', {
+  name: STRING
+});
+
+new SequelizeFileField({
+  virtualAttribute: 'scan',
+  mimetype: /image/
+}).addTo(Doc);
+
+export default Doc;
@@ -0,0 +1,64 @@
+import MemoryQueue from '../../src/queue/MemoryQueue';
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('MemoryQueue', () => {
+
+  it('should hold jobs until handler is set', () => {
+    const queue = new MemoryQueue();
+    const processed = [];
+
+    return queue
+      .enqueue({ id: 1 })
+      .then(() => queue.enqueue({ id: 2 }))
+      .then(() => queue.onIdle())
+      .then(() => {
+        expect(processed).toEqual([]);
+        queue.process(job => processed.push(job.id));
+        return queue.onIdle();
+      })
+      .then(() => expect(processed).toEqual([1, 2]));
+  });
+
+  it('should run at most concurrency jobs at once', () => {
+    const queue = new MemoryQueue({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+
+    queue.process(() => {
+      running++;
+      maxRunning = Math.max(running, maxRunning);
+      return delay(10).then(() => running--);
+    });
+
+    [1, 2, 3, 4, 5].forEach(id => queue.enqueue({ id }));
+
+    return queue.onIdle().then(() => {
+      expect(maxRunning).toBe(2);
+      expect(running).toBe(0);
+    });
+  });
+
+  it('should continue after failed jobs', () => {
+    const queue = new MemoryQueue();
+    const processed = [];
+
+    queue.process(job => {
+      if (job.id === 1) return Promise.reject(new Error('Failed'));
+      processed.push(job.id);
+    });
+
+    queue.enqueue({ id: 1 });
+    queue.enqueue({ id: 2 });
+
+    return queue.onIdle().then(() => expect(processed).toEqual([2]));
+  });
+
+  it('should validate options', () => {
+    expect(() => new MemoryQueue({ concurrency: '2' })).toThrow(TypeError);
+    expect(() => new MemoryQueue().process()).toThrow(TypeError);
+  });
+
+});
@@ -0,0 +1,65 @@
+import { signUrl, verifyUrl } from '../src/signature';
+
+const SECRET = 'secret';
+const KEY = '/uploads/invoices/documents/1/passport scan.pdf';
+const NOW = 1500000000000;
+
+describe('signature', () => {
+  const url = signUrl('/private', KEY, {
+    secret: SECRET,
+    expiresIn: 60 * 1000,
+    now: NOW
+  });
+
+  it('should sign url of storage key', () => {
+    expect(url).toMatch(
+      /^\/private\/uploads\/invoices\/documents\/1\/passport%20scan\.pdf\?expires=1500000060&signature=[0-9a-f]{64}$/
+    );
+  });
+
+  it('should verify signed url', () => {
+    expect(verifyUrl(url, '/private/', { secret: SECRET, now: NOW }))
+      .toEqual({ key: KEY, expires: 1500000060 });
+  });
+
+  it('should encode reserved characters of key', () => {
+    const key = '/uploads/Q3 report #2 (50%)?.txt';
+    const signed = signUrl('/private', key, { secret: SECRET, now: NOW });
+
+    expect(signed).toMatch(
+      /^\/private\/uploads\/Q3%20report%20%232%20\(50%25\)%3F\.txt\?expires=/
+    );
+    expect(verifyUrl(signed, '/private', { secret: SECRET, now: NOW }).key)
+      .toBe(key);
+  });
+
+  it('should reject tampered, expired and unsigned urls', () => {
+    const verify = (url, options) => verifyUrl(url, '/private', {
+      secret: SECRET,
+      now: NOW,
+      ...options
+    });
+
+    expect(verify(url.replace('/1/', '/2/')).error).toBe('Invalid signature');
+    expect(verify(url.replace('1500000060', '1600000060')).error)
+      .toBe('Invalid signature');
+    expect(verify(url, { secret: 'other' }).error).toBe('Invalid signature');
+    expect(verify(url, { now: NOW + 61 * 1000 }).error)
+      .toBe('Url has expired');
+    expect(verify(url.split('?')[0]).error).toBe('Missing signature');
+  });
+
+  it('should reject non-ASCII signatures of the same length', () => {
+    const signature = encodeURIComponent('é'.repeat(64));
+    const tampered = url.replace(/signature=.*$/, `signature=${signature}`);
+    expect(verifyUrl(tampered, '/private', { secret: SECRET, now: NOW }).error)
+      .toBe('Invalid signature');
+  });
+
+  it('should ignore urls outside of prefix', () => {
+    expect(verifyUrl('/uploads/a.png', '/private', { secret: SECRET }))
+      .toBeUndefined();
+    expect(verifyUrl('/privates/a.png', '/private', { secret: SECRET }))
+      .toBeUndefined();
+  });
+});
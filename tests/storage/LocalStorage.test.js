@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+import { exec } from 'child_process';
+
+import LocalStorage from '../../src/storage/LocalStorage';
+
+const ROOT = 'public';
+const FOLDER = '/uploads/local-storage-test';
+const TEST_IMAGE_PATH = path.resolve(__dirname, '..', 'Lenna.png');
+const TMP = `${ROOT}${FOLDER}/tmp/Lenna.png`;
+
+function copyImage(to) {
+  return new Promise((resolve, reject) => {
+    exec(`mkdir -p ${path.dirname(to)} && cp ${TEST_IMAGE_PATH} ${to}`, err => {
+      if (err) return reject(err);
+      resolve(to);
+    });
+  });
+}
+
+describe('LocalStorage', () => {
+  const storage = new LocalStorage({ root: ROOT });
+
+  beforeEach(() => copyImage(TMP));
+
+  afterAll(() => new Promise(resolve => {
+    exec(`rm -r ${ROOT}${FOLDER}`, () => resolve());
+  }));
+
+  it('should move local file to key\'s location', () => {
+    const key = `${FOLDER}/1/Lenna.png`;
+    return storage
+      .write(TMP, key)
+      .then(result => {
+        expect(result).toBe(key);
+        expect(fs.existsSync(TMP)).toBe(false);
+        return storage.exists(key);
+      })
+      .then(exists => expect(exists).toBe(true));
+  });
+
+  it('should leave file in place if it is already at key\'s location', () => {
+    const key = `${FOLDER}/tmp/Lenna.png`;
+    return storage
+      .write(TMP, key)
+      .then(() => storage.exists(key))
+      .then(exists => expect(exists).toBe(true));
+  });
+
+  it('should write readable streams', () => {
+    const key = `${FOLDER}/2/Lenna.png`;
+    return storage
+      .write(fs.createReadStream(TMP), key)
+      .then(() => {
+        expect(fs.statSync(`${ROOT}${key}`).size)
+        .toBe(fs.statSync(TEST_IMAGE_PATH).size);
+      });
+  });
+
+  it('should read files as stream', done => {
+    const key = `${FOLDER}/tmp/Lenna.png`;
+    let length = 0;
+    storage.createReadStream(key)
+      .on('data', chunk => length += chunk.length)
+      .on('end', () => {
+        expect(length).toBe(fs.statSync(TEST_IMAGE_PATH).size);
+        done();
+      });
+  });
+
+  it('should delete files and ignore missing ones', () => {
+    const key = `${FOLDER}/tmp/Lenna.png`;
+    return storage
+      .delete(key)
+      .then(() => storage.exists(key))
+      .then(exists => {
+        expect(exists).toBe(false);
+        return storage.delete(key);
+      });
+  });
+
+  it('should list files recursively', () => {
+    const key = `${FOLDER}/3/nested/Lenna.png`;
+    return storage
+      .write(TMP, key)
+      .then(() => storage.list(`${FOLDER}/3/`))
+      .then(files => {
+        expect(files.length).toBe(1);
+        expect(files[0].key).toBe(key);
+        expect(typeof files[0].modified.getTime()).toBe('number');
+        return storage.list(`${FOLDER}/missing`);
+      })
+      .then(files => expect(files).toEqual([]));
+  });
+
+  it('should refuse keys outside of root', () => {
+    const key = `${FOLDER}/../../../package.json`;
+    const refused = promise => promise.then(() => {
+      throw new Error('Key outside of root was accepted');
+    }, err => expect(err.message).toMatch(/outside of storage's root/));
+
+    expect(() => storage.createReadStream(key)).toThrow(/outside/);
+    return Promise.all([
+      refused(storage.exists(key)),
+      refused(storage.delete(key)),
+      refused(storage.write(TMP, key)),
+      refused(storage.list('/../'))
+    ])
+    .then(() => expect(fs.existsSync(TMP)).toBe(true));
+  });
+
+  it('should use key as url', () => {
+    expect(storage.url('/uploads/a.png')).toBe('/uploads/a.png');
+    expect(storage.url('/uploads/a #1?.png')).toBe('/uploads/a%20%231%3F.png');
+  });
+});
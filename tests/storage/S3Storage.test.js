@@ -0,0 +1,213 @@
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { exec } from 'child_process';
+
+import S3Storage from '../../src/storage/S3Storage';
+
+const TEST_IMAGE_PATH = path.resolve(__dirname, '..', 'Lenna.png');
+const TMP_FOLDER = 'public/uploads/s3-storage-test';
+const TMP = `${TMP_FOLDER}/Lenna.png`;
+
+/* Set S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY
+ * to run these against real service, ex. local MinIO.
+ * Otherwise an in-memory client is used */
+
+function memoryClient() {
+  const objects = {};
+  const acls = {};
+
+  const read = body => new Promise((resolve, reject) => {
+    if (Buffer.isBuffer(body)) return resolve(body);
+    const chunks = [];
+    body
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(Buffer.concat(chunks)));
+  });
+
+  const notFound = name => Object.assign(new Error('Not Found'), {
+    name,
+    $metadata: { httpStatusCode: 404 }
+  });
+
+  const commands = {
+    PutObjectCommand({ Bucket, Key, Body, ACL }) {
+      acls[`${Bucket}/${Key}`] = ACL;
+      return read(Body).then(buffer => {
+        objects[`${Bucket}/${Key}`] = buffer;
+        return {};
+      });
+    },
+
+    GetObjectCommand({ Bucket, Key }) {
+      const buffer = objects[`${Bucket}/${Key}`];
+      if (!buffer) return Promise.reject(notFound('NoSuchKey'));
+      const Body = new PassThrough();
+      Body.end(buffer);
+      return Promise.resolve({ Body });
+    },
+
+    DeleteObjectCommand({ Bucket, Key }) {
+      delete objects[`${Bucket}/${Key}`];
+      return Promise.resolve({});
+    },
+
+    ListObjectsV2Command({ Bucket, Prefix, ContinuationToken }) {
+      const keys = Object.keys(objects)
+        .filter(key => key.indexOf(`${Bucket}/${Prefix}`) === 0)
+        .map(key => key.substr(Bucket.length + 1));
+      const start = Number(ContinuationToken) || 0;
+      const page = keys.slice(start, start + 2);
+      return Promise.resolve({
+        Contents: page.length ?
+          page.map(Key => ({ Key, LastModified: new Date() })) : undefined,
+        IsTruncated: start + 2 < keys.length,
+        NextContinuationToken: String(start + 2)
+      });
+    },
+
+    HeadObjectCommand({ Bucket, Key }) {
+      if (objects[`${Bucket}/${Key}`]) return Promise.resolve({});
+      return Promise.reject(notFound('NotFound'));
+    }
+  };
+
+  return {
+    objects,
+    acls,
+
+    /* Used by Upload of @aws-sdk/lib-storage */
+    config: {
+      endpoint: () => Promise.resolve({
+        protocol: 'http:',
+        hostname: 'localhost',
+        port: 9000,
+        path: '/'
+      }),
+      forcePathStyle: true
+    },
+
+    send(command) {
+      return commands[command.constructor.name](command.input);
+    }
+  };
+}
+
+const ENV = process.env;
+
+const OPTIONS = ENV.S3_ENDPOINT ? {
+  bucket: ENV.S3_BUCKET,
+  endpoint: ENV.S3_ENDPOINT,
+  accessKeyId: ENV.S3_ACCESS_KEY_ID,
+  secretAccessKey: ENV.S3_SECRET_ACCESS_KEY,
+  region: ENV.S3_REGION || 'us-east-1'
+} : {
+  bucket: 'test',
+  endpoint: 'http://localhost:9000',
+  client: memoryClient()
+};
+
+describe('S3Storage', () => {
+  const storage = new S3Storage(OPTIONS);
+
+  beforeEach(() => new Promise((resolve, reject) => {
+    exec(`mkdir -p ${TMP_FOLDER} && cp ${TEST_IMAGE_PATH} ${TMP}`, err => {
+      if (err) return reject(err);
+      resolve();
+    });
+  }));
+
+  afterAll(() => new Promise(resolve => {
+    exec(`rm -r ${TMP_FOLDER}`, () => resolve());
+  }));
+
+  it('should throw without bucket', () => {
+    expect(() => new S3Storage({})).toThrow(TypeError);
+  });
+
+  it('should upload local file and remove it afterwards', () => {
+    const key = '/uploads/models/pics/1/Lenna.png';
+    return storage
+      .write(TMP, key, { mimetype: 'image/png' })
+      .then(result => {
+        expect(result).toBe(key);
+        expect(fs.existsSync(TMP)).toBe(false);
+        return storage.exists(key);
+      })
+      .then(exists => expect(exists).toBe(true));
+  });
+
+  it('should delete objects', () => {
+    const key = '/uploads/models/pics/2/Lenna.png';
+    return storage
+      .write(TMP, key)
+      .then(() => storage.delete(key))
+      .then(() => storage.exists(key))
+      .then(exists => expect(exists).toBe(false));
+  });
+
+  it('should read objects as stream', done => {
+    const key = '/uploads/models/pics/3/Lenna.png';
+    storage
+      .write(TMP, key)
+      .then(() => {
+        let length = 0;
+        storage.createReadStream(key)
+          .on('data', chunk => length += chunk.length)
+          .on('end', () => {
+            expect(length).toBe(fs.statSync(TEST_IMAGE_PATH).size);
+            done();
+          });
+      });
+  });
+
+  it('should emit errors of missing objects on stream', done => {
+    storage.createReadStream('/uploads/models/pics/missing.png')
+      .on('error', err => {
+        expect(err.name).toBe('NoSuchKey');
+        done();
+      });
+  });
+
+  it('should list nothing under empty prefix', () => {
+    return storage.list('/uploads/empty/')
+      .then(files => expect(files).toEqual([]));
+  });
+
+  it('should list objects under prefix page by page', () => {
+    const keys = [1, 2, 3].map(id => `/uploads/listed/${id}/Lenna.png`);
+    return keys.reduce((promise, key) => {
+        return promise
+          .then(() => new Promise(resolve => {
+            exec(`cp ${TEST_IMAGE_PATH} ${TMP}`, () => resolve());
+          }))
+          .then(() => storage.write(TMP, key));
+      }, Promise.resolve())
+      .then(() => storage.list('/uploads/listed/'))
+      .then(files => {
+        expect(files.map(file => file.key).sort()).toEqual(keys);
+      });
+  });
+
+  it('should upload private files with private ACL', () => {
+    const client = memoryClient();
+    const storage = new S3Storage({ bucket: 'test', client });
+    return storage
+      .write(TMP, '/uploads/private.png', { private: true })
+      .then(() => {
+        expect(client.acls['test/uploads/private.png']).toBe('private');
+      });
+  });
+
+  it('should build path-style urls for custom endpoints', () => {
+    const storage = new S3Storage({
+      bucket: 'test',
+      endpoint: 'http://localhost:9000',
+      prefix: 'app/',
+      client: memoryClient()
+    });
+    expect(storage.url('/uploads/a.png'))
+    .toBe('http://localhost:9000/test/app/uploads/a.png');
+  });
+});
@@ -0,0 +1,116 @@
+import { onTransactionEnd } from '../src/transaction';
+
+function createTransaction(parent, { afterCommit } = {}) {
+  const transaction = {
+    parent,
+    commit: () => Promise.resolve('committed'),
+    rollback: () => Promise.resolve('rolled back')
+  };
+
+  if (afterCommit) {
+    const callbacks = [];
+    transaction.afterCommit = fn => callbacks.push(fn);
+    transaction.commit = () => Promise.resolve('committed')
+      .then(result => {
+        callbacks.forEach(fn => fn());
+        return result;
+      });
+  }
+
+  return transaction;
+}
+
+describe('onTransactionEnd', () => {
+
+  it('should call commit callback after commit', () => {
+    const transaction = createTransaction();
+    const calls = [];
+
+    onTransactionEnd(transaction, {
+      commit: () => calls.push('commit'),
+      rollback: () => calls.push('rollback')
+    });
+
+    expect(calls).toEqual([]);
+
+    return transaction.commit()
+      .then(result => {
+        expect(result).toBe('committed');
+        expect(calls).toEqual(['commit']);
+      });
+  });
+
+  it('should call rollback callback after rollback', () => {
+    const transaction = createTransaction();
+    const calls = [];
+
+    onTransactionEnd(transaction, {
+      commit: () => calls.push('commit'),
+      rollback: () => calls.push('rollback')
+    });
+
+    return transaction.rollback()
+      .then(result => {
+        expect(result).toBe('rolled back');
+        expect(calls).toEqual(['rollback']);
+      });
+  });
+
+  it('should use transaction.afterCommit if it\'s available', () => {
+    const transaction = createTransaction(null, { afterCommit: true });
+    const calls = [];
+
+    onTransactionEnd(transaction, {
+      commit: () => calls.push('commit')
+    });
+
+    return transaction.commit()
+      .then(() => expect(calls).toEqual(['commit']));
+  });
+
+  it('should wait for outermost commit and react to any rollback ' +
+     'in nested transactions', () => {
+    const parent = createTransaction();
+    const child = createTransaction(parent);
+    const calls = [];
+
+    onTransactionEnd(child, {
+      commit: () => calls.push('commit'),
+      rollback: () => calls.push('rollback')
+    });
+
+    return child.commit()
+      .then(() => {
+        expect(calls).toEqual([]);
+        return parent.rollback();
+      })
+      .then(() => expect(calls).toEqual(['rollback']));
+  });
+
+  it('should call callbacks only once', () => {
+    const parent = createTransaction();
+    const child = createTransaction(parent);
+    const calls = [];
+
+    onTransactionEnd(child, {
+      commit: () => calls.push('commit'),
+      rollback: () => calls.push('rollback')
+    });
+
+    return child.rollback()
+      .then(() => parent.commit())
+      .then(() => expect(calls).toEqual(['rollback']));
+  });
+
+  it('shouldn\'t fail commit if callback throws', () => {
+    const transaction = createTransaction();
+
+    onTransactionEnd(transaction, {
+      commit: () => { throw new Error('Callback error'); }
+    });
+
+    return transaction.commit()
+      .then(result => expect(result).toBe('committed'));
+  });
+
+});
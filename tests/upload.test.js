@@ -0,0 +1,185 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+import { uploadMiddleware } from '../src/upload';
+
+const TEST_IMAGE_PATH = path.resolve(__dirname, 'Lenna.png');
+const TMP_FOLDER = `${os.tmpdir()}/sequelize-file-upload-test`;
+const BOUNDARY = 'sequelize-file-boundary';
+
+const RULES = {
+  pic: {
+    multiple: false,
+    crop: 'picCrop',
+    checkType: ({ mimetype }) => {
+      if (!/image/.test(mimetype)) return 'Wrong file\'s MIME type';
+    },
+    checkSize: (size, complete) => {
+      if (size > 1024 * 1024) return 'File is too large';
+      if (complete && size < 10) return 'File is too small';
+    },
+    error: message => new Error(message)
+  },
+  gallery: {
+    multiple: true,
+    checkType: () => {},
+    checkSize: () => {},
+    error: message => new Error(message)
+  }
+};
+
+/** Builds multipart body of [{ name, value }] and [{ name, filename,
+ * type, data }] parts */
+
+function multipart(parts) {
+  return Buffer.concat(parts.map(part => Buffer.concat([
+    Buffer.from(
+      `--${BOUNDARY}\r\n` +
+      `Content-Disposition: form-data; name="${part.name}"` +
+      (typeof part.filename === 'string' ?
+        `; filename="${part.filename}"\r\n` +
+        `Content-Type: ${part.type || 'application/octet-stream'}\r\n` :
+        '\r\n') +
+      '\r\n'
+    ),
+    Buffer.isBuffer(part.data) ? part.data : Buffer.from(part.value || ''),
+    Buffer.from('\r\n')
+  ])).concat(Buffer.from(`--${BOUNDARY}--\r\n`)));
+}
+
+describe('uploadMiddleware', () => {
+  let server;
+  let result;
+  const image = fs.readFileSync(TEST_IMAGE_PATH);
+
+  beforeAll(done => {
+    fs.mkdirSync(TMP_FOLDER, { recursive: true });
+    const middleware = uploadMiddleware(RULES, { dest: TMP_FOLDER });
+    server = http.createServer((req, res) => {
+      req.body = { existing: 'value' };
+      middleware(req, res, err => {
+        result = { err, body: req.body };
+        res.end();
+      });
+    });
+    server.listen(0, '127.0.0.1', done);
+  });
+
+  afterAll(done => server.close(done));
+
+  function post(parts, contentType) {
+    const body = multipart(parts);
+    return new Promise((resolve, reject) => {
+      const req = http.request({
+        method: 'POST',
+        host: '127.0.0.1',
+        port: server.address().port,
+        headers: {
+          'content-type': contentType ||
+            `multipart/form-data; boundary=${BOUNDARY}`,
+          'content-length': body.length
+        }
+      }, res => {
+        res.resume();
+        res.on('end', () => resolve(result));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  const tmpFiles = () => fs.readdirSync(TMP_FOLDER);
+
+  it('should set received files and crop to body', () => {
+    return post([
+      { name: 'title', value: 'Lenna' },
+      { name: 'picCrop[x]', value: '0.1' },
+      { name: 'picCrop[width]', value: '0.5' },
+      { name: 'pic', filename: 'Lenna.png', type: 'image/png', data: image }
+    ])
+    .then(({ err, body }) => {
+      expect(err).toBeUndefined();
+      expect(body.existing).toBe('value');
+      expect(body.title).toBe('Lenna');
+      expect(body.picCrop).toEqual({ x: '0.1', width: '0.5' });
+      expect(body.pic).toMatchObject({
+        fieldname: 'pic',
+        originalname: 'Lenna.png',
+        mimetype: 'image/png',
+        size: image.length
+      });
+      expect(body.pic.path).toMatch(/\.png$/);
+      expect(fs.readFileSync(body.pic.path).equals(image)).toBe(true);
+    });
+  });
+
+  it('should parse JSON crop and collect multiple files', () => {
+    return post([
+      { name: 'picCrop', value: '{"x":0.2,"y":0.1}' },
+      { name: 'gallery[]', filename: 'a.txt', type: 'text/plain', value: 'a' },
+      { name: 'gallery[]', filename: 'b.txt', type: 'text/plain', value: 'b' }
+    ])
+    .then(({ err, body }) => {
+      expect(err).toBeUndefined();
+      expect(body.picCrop).toEqual({ x: 0.2, y: 0.1 });
+      expect(body.gallery.map(file => file.originalname))
+        .toEqual(['a.txt', 'b.txt']);
+      expect(body.pic).toBeUndefined();
+    });
+  });
+
+  it('should reject files by contents and remove them', () => {
+    const before = tmpFiles().length;
+    return post([
+      { name: 'pic', filename: 'evil.png', type: 'image/png',
+        value: '<script>alert(1)</script>' }
+    ])
+    .then(({ err }) => {
+      expect(err.message).toBe('Wrong file\'s MIME type');
+      expect(tmpFiles().length).toBe(before);
+    });
+  });
+
+  it('should abort files larger than maximum size', () => {
+    const before = tmpFiles().length;
+    return post([
+      { name: 'pic', filename: 'large.png', type: 'image/png',
+        data: Buffer.concat([image, image, image]) }
+    ])
+    .then(({ err }) => {
+      expect(err.message).toBe('File is too large');
+      expect(tmpFiles().length).toBe(before);
+    });
+  });
+
+  it('should reject several files of single attribute', () => {
+    return post([
+      { name: 'pic', filename: 'a.png', type: 'image/png', data: image },
+      { name: 'pic', filename: 'b.png', type: 'image/png', data: image }
+    ])
+    .then(({ err }) => expect(err.message).toMatch(/Only one file/));
+  });
+
+  it('should skip unknown and empty file fields', () => {
+    return post([
+      { name: 'other', filename: 'a.txt', type: 'text/plain', value: 'a' },
+      { name: 'pic', filename: '', value: '' }
+    ])
+    .then(({ err, body }) => {
+      expect(err).toBeUndefined();
+      expect(body.other).toBeUndefined();
+      expect(body.pic).toBeUndefined();
+    });
+  });
+
+  it('should pass other requests through', () => {
+    return post([], 'application/json')
+      .then(({ err, body }) => {
+        expect(err).toBeUndefined();
+        expect(body).toEqual({ existing: 'value' });
+      });
+  });
+
+});
@@ -0,0 +1,44 @@
+import { mapLimit, validateType } from '../src/utils';
+
+describe('validateType', () => {
+
+  it('should throw TypeError with name and types', () => {
+    expect(() => validateType({ sizes: 1 }, 'Object | Undefined'))
+    .toThrow('Expected sizes to be of type Object | Undefined, but got Number');
+  });
+
+});
+
+describe('mapLimit', () => {
+
+  it('should resolve with results in items\' order', () => {
+    return mapLimit([30, 10, 20], 2, item => new Promise(resolve => {
+        setTimeout(() => resolve(item * 2), item);
+      }))
+      .then(results => expect(results).toEqual([60, 20, 40]));
+  });
+
+  it('should run at most limit calls at once', () => {
+    let running = 0;
+    let maxRunning = 0;
+
+    return mapLimit([1, 2, 3, 4, 5], 2, () => {
+        running++;
+        maxRunning = Math.max(running, maxRunning);
+        return new Promise(resolve => setTimeout(resolve, 5))
+          .then(() => running--);
+      })
+      .then(() => expect(maxRunning).toBe(2));
+  });
+
+  it('should reject with first error', () => {
+    return mapLimit([1, 2], 1, item => {
+        if (item === 2) throw new Error('Failed');
+      })
+      .then(() => {
+        throw "Promise resolved when it shoudn't";
+      })
+      .catch(error => expect(error.message).toBe('Failed'));
+  });
+
+});